@@ -1,14 +1,32 @@
 import * as THREE from 'three';
 import gsap from 'gsap';
 import { MenuItem } from './MenuItem.js';
+import { registerLayout, getLayout } from './MenuLayouts.js';
+import { registerTransition, getTransition } from './MenuTransitions.js';
+import { registerSelectBehavior, getSelectBehavior } from './MenuSelectBehaviors.js';
+import { registerMatcher, getMatcher } from './MenuMatchers.js';
+import { registerAction, buildMenu, menuToJSON } from './MenuConfig.js';
+import { MenuAccessibility } from './MenuAccessibility.js';
+import { MenuModel } from './MenuModel.js';
+import { MenuEvents } from './MenuEvents.js';
+import { MenuGamepad } from './MenuGamepad.js';
+import { MenuLabel } from './MenuLabel.js';
+import { MenuInfoPanel } from './MenuInfoPanel.js';
+import { MenuScrollIndicators } from './MenuScrollIndicators.js';
+import { ACTIONS, REPEATING_ACTIONS, DEFAULT_BINDINGS, matchBinding, isTypingTarget } from './MenuBindings.js';
 
-// private variables
-let keyPressed = false, clicked = false, isMoving = false; // keypress event is deprecated
-let leftEdge, rightEdge;
-let firstNode, latestNode, nodeToSelect = null;
-let nextNodeID = 0;
-const rayCaster = new THREE.Raycaster();
-const pt = new THREE.Vector2;
+// the menu currently receiving keyboard input, shared across every Menu instance
+let focusedMenu = null;
+
+// transitions picked by the OPEN_ constants, in the same order
+const TRANSITIONS = ["none", "grow", "fade", "slide", "cascade", "spin"];
+
+// events always listened to on the window, every other one goes to the menu's elements
+const WINDOW_EVENTS = ["keydown", "keyup", "blur", "resize"];
+
+// key events a menu already acted on. Focus can move to another menu during the action (like back() handing it
+// to the parent), and that menu's window listener must not act on the same key again
+const handledKeys = new WeakSet();
 
 /**
  * Menu class initializer
@@ -18,17 +36,45 @@ const pt = new THREE.Vector2;
  */
 export function Menu(_scene = null, _camera = null, _properties = null) {
 
+  // items, selection & wrap rules live in the model, the menu draws it and feeds it input
+  this.model = new MenuModel();
+
   // menu parts
   this.scene = _scene;
   this.camera = _camera;
-  this.itemTray = [];
-  this.itemTrayAction = [];
-  this.itemSelected = 0;
   this.menuRotate = true;
   this.enabled = true;
   this.opened = false;
   this.itemGroup = new THREE.Group();
-  this.itemCount = 0;
+  this.labelGroup = new THREE.Group(); // labels & info panel, kept apart from the items
+  this.itemGroup.add(this.labelGroup);
+
+  // navigation state, kept per instance so several menus can share a page
+  this.heldKey = null; // keypress event is deprecated, holding a key is repeated by the menu itself
+  this.selection = null; // the selection running its animation: { node, sequence, cancel }
+  this.hoveredNode = null;
+  this.removals = new Map(); // meshes still shrinking out after remove() => function finishing their removal
+  this.domListeners = null;
+  this.listenerTargets = [];
+  this.transition = null;
+  this.menuMotion = null;
+  this.scrollWaiters = [];
+  this.clickTimer = this.hoverTimer = null;
+  this.pendingHover = null;
+  this.drag = null;
+  this.lastWheel = 0;
+  this.filterQuery = ""; // text the items are filtered by, see filter
+  this.typedText = ""; // letters typed so far by "jump" type-ahead
+  this.lastTyped = 0;
+  this.visibleNodes = new Set(); // nodes in the window of a virtualized menu
+  this.meshPool = []; // meshes released by the meshFactory items that left the window
+  this.disposed = false;
+  this.rayCaster = new THREE.Raycaster();
+  this.pt = new THREE.Vector2();
+
+  // lifecycle and selection events, see Menu.prototype.on
+  this.events = new MenuEvents();
+  this.relayModel();
 
   // Initialize then reload
   this.init(_properties);
@@ -39,17 +85,51 @@ export function Menu(_scene = null, _camera = null, _properties = null) {
 Menu.prototype.OPEN_NOTRANSITION = 0;
 Menu.prototype.OPEN_GROW = 1;
 Menu.prototype.OPEN_TRANSPARENCY = 2;
+Menu.prototype.OPEN_SLIDE = 3;
+Menu.prototype.OPEN_CASCADE = 4;
+Menu.prototype.OPEN_SPIN = 5;
+Menu.prototype.SUBMENU_COLLAPSE = 0;
+Menu.prototype.SUBMENU_RECEDE = 1;
+Menu.prototype.LAYOUT_LINEAR = "linear";
+Menu.prototype.LAYOUT_RING = "ring";
+Menu.prototype.LAYOUT_VERTICAL = "vertical";
+Menu.prototype.LAYOUT_GRID = "grid";
+Menu.prototype.LAYOUT_ARC = "arc";
+Menu.prototype.LAYOUT_HELIX = "helix";
+
+// the state below belongs to the model, the menu only reads it under its usual names
+Object.defineProperties(Menu.prototype, {
+  itemTray: { get() { return this.model.items; } },
+  itemTrayAction: { get() { return this.model.items.map((node) => node.action); } },
+  itemSelected: { get() { return this.model.selected; } },
+  nodeToSelect: { get() { return this.model.selectedItem; } },
+  itemCount: { get() { return this.model.items.length; } },
+  firstNode: { get() { return this.model.items.length ? this.model.items[0] : null; } },
+  latestNode: { get() { return this.model.items.length ? this.model.items[this.model.items.length - 1] : null; } },
+  revolvingMenu: {
+    get() { return this.model.revolving; },
+    set(value) { this.model.revolving = value; }
+  },
+  skipDisabled: {
+    get() { return this.model.skipDisabled; },
+    set(value) { this.model.skipDisabled = value; }
+  }
+});
 
 /**
  * Initialize menu properties
  */
 Menu.prototype.init = function(_properties) {
   // camera & scene factors
-  nextNodeID = 0;
-  nodeToSelect = null;
-  leftEdge = rightEdge = null;
+  this.scroll = { position: 0, target: 0 };
   this.defaultSpeed = 0.1;
-  this.cameraDistance = 1;
+
+  // the camera belongs to the app: reload() only puts it at (0, 0, cameraDistance) when positionCamera is set.
+  // fitItems > 0 moves it back along its view until that many items around the selection fit, see fitCamera
+  this.positionCamera = (_properties && typeof _properties.positionCamera === "boolean") ? _properties.positionCamera : false;
+  this.cameraDistance = (_properties && typeof _properties.cameraDistance === "number") ? _properties.cameraDistance : 1;
+  this.fitItems = (_properties && typeof _properties.fitItems === "number") ? _properties.fitItems : 0;
+  this.fitMargin = (_properties && typeof _properties.fitMargin === "number") ? _properties.fitMargin : 0.1; // extra room, as a fraction of the framed size
 
   // item positioning and behavior factors
   this.gapBetweenItems = { x: 1, y: 0, z: 0 };
@@ -67,539 +147,2108 @@ Menu.prototype.init = function(_properties) {
     this.menuOffsetItems.z = (typeof _properties.menuOffsetItems.z === "number" ) ? _properties.menuOffsetItems.z : this.menuOffsetItems.z;
   }
   
-  this.selectBehavior = "grow" // For now only Grow behavior is available. Make "shine" behavior available too
+  // played on the selected item before its action: "grow", "shine", "pulse", "flip", a name registered through
+  // Menu.registerSelectBehavior or a function(item, menu). Items can pick their own through the same property
+  this.selectBehavior = (_properties && ["string", "function"].includes(typeof _properties.selectBehavior)) ? _properties.selectBehavior : "grow";
+  this.shineColor = (_properties && _properties.shineColor !== undefined) ? _properties.shineColor : 0xffffff;
   this.resizeScale = (_properties && typeof _properties.resizeScale === "number") ? _properties.resizeScale : 0.5;
   this.resizeSpeed = (_properties && typeof _properties.resizeSpeed === "number") ? _properties.resizeSpeed : 2;
   this.closeTime =(_properties && typeof _properties.closeTime === "number") ? _properties.closeTime : 0.5;
   this.openTime = (_properties && typeof _properties.openTime === "number") ? _properties.openTime : 0.5;
   this.shuffleSpeed = (_properties && typeof _properties.shuffleSpeed === "number") ? _properties.shuffleSpeed : 2;  
-  this.revolvingMenu = (_properties && _properties.revolvingMenu) ? _properties.revolvingMenu : true;
-  this.openBehavior = (_properties && _properties.openBehavior && typeof _properties.openBehavior === "number") ? _properties.openBehavior : this.OPEN_NOTRANSITION;
+  this.revolvingMenu = (_properties && typeof _properties.revolvingMenu === "boolean") ? _properties.revolvingMenu : true;
+
+  // bounded menus (revolvingMenu false) stretch bounceDistance slots past either end and spring back in bounceTime, emitting "edge"
+  this.bounceDistance = (_properties && typeof _properties.bounceDistance === "number") ? _properties.bounceDistance : 0.3;
+  this.bounceTime = (_properties && typeof _properties.bounceTime === "number") ? _properties.bounceTime : 0.3;
+
+  // open & close transitions, an OPEN_ constant or any name registered through Menu.registerTransition
+  // closing plays the counterpart of the opening transition unless closeBehavior says otherwise
+  this.openBehavior = (_properties && ["number", "string"].includes(typeof _properties.openBehavior)) ? _properties.openBehavior : this.OPEN_NOTRANSITION;
+  this.closeBehavior = (_properties && ["number", "string"].includes(typeof _properties.closeBehavior)) ? _properties.closeBehavior : this.openBehavior;
+  this.transitionEase = (_properties && typeof _properties.transitionEase === "string") ? _properties.transitionEase : null; // null keeps the transition's own
+  this.transitionStagger = (_properties && typeof _properties.transitionStagger === "number") ? _properties.transitionStagger : null; // seconds between items
+  this.slideFrom = (_properties && typeof _properties.slideFrom === "string") ? _properties.slideFrom : "left"; // left, right, top or bottom
+  this.slideDistance = (_properties && typeof _properties.slideDistance === "number") ? _properties.slideDistance : 3;
+
+  // layout of the items, any name registered through Menu.registerLayout. Angles are in radians
+  this.layout = (_properties && typeof _properties.layout === "string") ? _properties.layout : this.LAYOUT_LINEAR;
+  this.ringRadius = (_properties && typeof _properties.ringRadius === "number") ? _properties.ringRadius : 2; // ring & helix
+  this.ringArc = (_properties && typeof _properties.ringArc === "number") ? _properties.ringArc : Math.PI * 2;
+  this.rowGap = (_properties && typeof _properties.rowGap === "number") ? _properties.rowGap : 1; // vertical & grid
+  this.gridColumns = (_properties && typeof _properties.gridColumns === "number") ? _properties.gridColumns : 3;
+  this.arcRadius = (_properties && typeof _properties.arcRadius === "number") ? _properties.arcRadius : 4;
+  this.arcSpread = (_properties && typeof _properties.arcSpread === "number") ? _properties.arcSpread : Math.PI / 8;
+  this.helixTurn = (_properties && typeof _properties.helixTurn === "number") ? _properties.helixTurn : Math.PI / 4;
+  this.helixRise = (_properties && typeof _properties.helixRise === "number") ? _properties.helixRise : 0.25;
+  this.faceCamera = (_properties && typeof _properties.faceCamera === "boolean") ? _properties.faceCamera : true;
+
+  // virtualized menus only keep the items within windowSize slots of the scroll position in the scene, laid out and animated.
+  // Items outside it are culled, or recycled when added without a mesh: meshFactory(entry, recycled) builds the mesh of
+  // an item entering the window from { id, index, label, subtitle, description, data }, reusing a mesh released by another
+  this.virtualize = (_properties && typeof _properties.virtualize === "boolean") ? _properties.virtualize : false;
+  this.windowSize = (_properties && typeof _properties.windowSize === "number") ? Math.max(1, _properties.windowSize) : 6;
+  this.meshFactory = (_properties && typeof _properties.meshFactory === "function") ? _properties.meshFactory : null;
+
+  // "fixed" keeps the gaps of the layout, "auto" measures every item and packs them itemMargin apart along the layout's spacingAxis
+  // Virtualized menus can't measure the items they haven't built, so they keep the gaps of the layout
+  this.spacing = (_properties && typeof _properties.spacing === "string") ? _properties.spacing : "fixed";
+  this.itemMargin = (_properties && typeof _properties.itemMargin === "number") ? _properties.itemMargin : 0.2;
+
+  // keys for keydown events, as a map of action => list of keys. See MenuBindings for the actions and key format.
+  // The older prevKey, nextKey, selectKey, upKey, downKey & backKey properties still set their action
+  this.bindings = {};
+  const legacyKeys = { prev: "prevKey", next: "nextKey", select: "selectKey", up: "upKey", down: "downKey", back: "backKey" };
+  ACTIONS.forEach((action) => {
+    const custom = (_properties && _properties.bindings) ? _properties.bindings[action] : undefined;
+    const legacy = (_properties && legacyKeys[action]) ? _properties[legacyKeys[action]] : undefined;
+    const keys = (custom !== undefined) ? custom : (legacy !== undefined ? legacy : DEFAULT_BINDINGS[action]);
+    this.bindings[action] = [].concat(keys).filter((key) => typeof key === "string");
+  });
+  this.pageSize = (_properties && typeof _properties.pageSize === "number") ? _properties.pageSize : 5;
 
-  // keys for keydown events. Use strings as needed
-  this.prevKey = (_properties && _properties.prevKey && typeof _properties.prevKey === "string") ? _properties.prevKey : 'ArrowLeft';
-  this.nextKey = (_properties && _properties.nextKey && typeof _properties.nextKey === "string") ? _properties.nextKey : 'ArrowRight';
-  this.selectKey = (_properties && _properties.selectKey && typeof _properties.selectKey === "string") ? _properties.selectKey : 'Enter';
+  // type-ahead on keys bound to no action: "filter" narrows the items down to the ones matching the typed text,
+  // Backspace & Escape edit it. "jump" moves to the next item whose label starts with it like a native <select>,
+  // starting over after typeAheadTimeout ms. filterMatch is "fuzzy", "contains", "prefix", a name registered through
+  // Menu.registerMatcher or a function(query, text). Items filtered out collapse in filterTime
+  this.typeAhead = (_properties && typeof _properties.typeAhead === "string") ? _properties.typeAhead : "none";
+  this.typeAheadTimeout = (_properties && typeof _properties.typeAheadTimeout === "number") ? _properties.typeAheadTimeout : 1000;
+  this.filterMatch = (_properties && ["string", "function"].includes(typeof _properties.filterMatch)) ? _properties.filterMatch : "fuzzy";
+  this.filterTime = (_properties && typeof _properties.filterTime === "number") ? _properties.filterTime : 0.3;
 
+  // hold-to-repeat for the movement actions, in ms
+  this.keyRepeatDelay = (_properties && typeof _properties.keyRepeatDelay === "number") ? _properties.keyRepeatDelay : 400;
+  this.keyRepeatRate = (_properties && typeof _properties.keyRepeatRate === "number") ? _properties.keyRepeatRate : 100;
+
+  // pointer input: domElement (like the renderer's canvas) limits the pointer listeners to that element,
+  // viewports lists every { camera, element, rect } that renders the menu. See getViewports
+  this.domElement = (_properties && _properties.domElement) ? _properties.domElement : null;
+  this.viewports = (_properties && Array.isArray(_properties.viewports)) ? _properties.viewports.slice() : [];
+
+  // focus behavior: only the focused menu reacts to keyboard input. autoFocus takes focus on open
+  this.autoFocus = (_properties && typeof _properties.autoFocus === "boolean") ? _properties.autoFocus : true;
+  this.focusOnClick = (_properties && typeof _properties.focusOnClick === "boolean") ? _properties.focusOnClick : true;
+
+  // pointer hover: default feedback for every item ("scale", "emissive" or "none") and how often the pointer is raycast, in ms
+  this.hoverBehavior = (_properties && typeof _properties.hoverBehavior === "string") ? _properties.hoverBehavior : "scale";
+  this.hoverScale = (_properties && typeof _properties.hoverScale === "number") ? _properties.hoverScale : 0.1;
+  this.hoverEmissive = (_properties && _properties.hoverEmissive !== undefined) ? _properties.hoverEmissive : 0x333333;
+  this.hoverThrottle = (_properties && typeof _properties.hoverThrottle === "number") ? _properties.hoverThrottle : 50;
+
+  // dragging, swiping & wheel scrolling. dragDistance is how many pixels scroll the menu by one item,
+  // dragMomentum is how many seconds of the release speed carry on before snapping to the nearest item
+  this.dragEnabled = (_properties && typeof _properties.dragEnabled === "boolean") ? _properties.dragEnabled : true;
+  this.dragAxis = (_properties && (_properties.dragAxis === "x" || _properties.dragAxis === "y")) ? _properties.dragAxis : "auto";
+  this.dragDistance = (_properties && typeof _properties.dragDistance === "number") ? _properties.dragDistance : 150;
+  this.dragThreshold = (_properties && typeof _properties.dragThreshold === "number") ? _properties.dragThreshold : 6;
+  this.dragMomentum = (_properties && typeof _properties.dragMomentum === "number") ? _properties.dragMomentum : 0.25;
+  this.wheelEnabled = (_properties && typeof _properties.wheelEnabled === "boolean") ? _properties.wheelEnabled : true;
+  this.wheelThrottle = (_properties && typeof _properties.wheelThrottle === "number") ? _properties.wheelThrottle : 150;
+
+  // gamepads are polled from animate(), or from their own loop with gamepadLoop. See MenuGamepad for the other gamepad properties
+  this.gamepadEnabled = (_properties && typeof _properties.gamepadEnabled === "boolean") ? _properties.gamepadEnabled : true;
+  this.gamepadLoop = (_properties && typeof _properties.gamepadLoop === "boolean") ? _properties.gamepadLoop : false;
+  if (this.gamepad) this.gamepad.stop();
+  this.gamepad = this.gamepadEnabled ? new MenuGamepad(this, _properties) : null;
+
+  // submenus: how the parent gets out of the way when a child menu opens. The "back" binding returns to it
+  this.title = (_properties && typeof _properties.title === "string") ? _properties.title : "";
+  this.submenuBehavior = (_properties && typeof _properties.submenuBehavior === "number") ? _properties.submenuBehavior : this.SUBMENU_COLLAPSE;
+  this.recedeDistance = (_properties && typeof _properties.recedeDistance === "number") ? _properties.recedeDistance : 2;
+  this.parentMenu = null;
+  this.activeSubmenu = null;
+
+  // labels: items added with a "label" (and optional "subtitle") show it under them
+  // labelVisibility is "always", "selected", "hover" or "none", items can override it and the look of their own label
+  this.labelVisibility = (_properties && typeof _properties.labelVisibility === "string") ? _properties.labelVisibility : "always";
+  this.labelType = (_properties && _properties.labelType === "plane") ? "plane" : "sprite"; // planes turn with the menu
+  this.labelFont = (_properties && typeof _properties.labelFont === "string") ? _properties.labelFont : "bold 48px sans-serif";
+  this.labelSubtitleFont = (_properties && typeof _properties.labelSubtitleFont === "string") ? _properties.labelSubtitleFont : "32px sans-serif";
+  this.labelColor = (_properties && typeof _properties.labelColor === "string") ? _properties.labelColor : "#ffffff";
+  this.labelBackground = (_properties && typeof _properties.labelBackground === "string") ? _properties.labelBackground : null;
+  this.labelResolution = (_properties && typeof _properties.labelResolution === "number") ? _properties.labelResolution : 200; // canvas pixels per world unit
+  this.labelOffset = { x: 0, y: -0.6, z: 0 };
+  if (_properties && typeof _properties.labelOffset === "object") Object.assign(this.labelOffset, _properties.labelOffset);
+  this.labelTime = (_properties && typeof _properties.labelTime === "number") ? _properties.labelTime : 0.2;
+
+  // disabled items: skipDisabled makes moves jump over them, selecting one shakes it and emits "denied"
+  this.skipDisabled = (_properties && typeof _properties.skipDisabled === "boolean") ? _properties.skipDisabled : true;
+  this.disabledStyle = (_properties && typeof _properties.disabledStyle === "string") ? _properties.disabledStyle : "dim"; // dim, desaturate or none
+  this.disabledBrightness = (_properties && typeof _properties.disabledBrightness === "number") ? _properties.disabledBrightness : 0.4;
+  this.deniedShake = (_properties && typeof _properties.deniedShake === "number") ? _properties.deniedShake : 0.08;
+
+  // info panel: describes the selected item with its label and "description". See MenuInfoPanel for its properties
+  if (this.infoPanel) this.infoPanel.dispose();
+  this.infoPanel = (_properties && _properties.infoPanel) ? new MenuInfoPanel(this, _properties) : null;
+  if (this.infoPanel) this.labelGroup.add(this.infoPanel.object);
+
+  // scroll indicators: arrows on bounded menus while more items lie past indicatorOffset slots, see MenuScrollIndicators
+  if (this.scrollIndicators) this.scrollIndicators.dispose();
+  this.scrollIndicators = (_properties && _properties.scrollIndicators) ? new MenuScrollIndicators(this, _properties) : null;
+  if (this.scrollIndicators) this.labelGroup.add(this.scrollIndicators.object);
+
+  // accessibility: a hidden listbox mirroring the items for screen readers, see MenuAccessibility
+  // accessibleLabel names it (the title by default), accessibleParent is where it goes (next to domElement by default)
+  if (this.accessibility) this.accessibility.dispose();
+  this.accessible = (_properties && typeof _properties.accessible === "boolean") ? _properties.accessible : false;
+  this.accessibility = (this.accessible && typeof document !== "undefined") ? new MenuAccessibility(this, _properties) : null;
 }
 
 /**
  * Add new items to the Menu object
- * @param {THREE.Mesh | THREE.Group} mesh - A Mesh or Group of meshes to represent the item
- * @param {function} _doOnSelect - Optional callback function for the item
- * @param {object} _properties - Optional properites for the item such as its default animation behavior
+ * @param {THREE.Mesh | THREE.Group} mesh - A Mesh or Group of meshes to represent the item, or null to build it through the meshFactory
+ * @param {function | Menu} _doOnSelect - Optional callback function for the item, or a Menu to open as its submenu
+ * @param {object} _properties - Optional properites for the item such as its default animation behavior, or its label, subtitle & description
+ * @returns {number} the id assigned to the item, also stored in mesh.name
  */
 Menu.prototype.add = function (mesh, _doOnSelect = null, _properties) {
+  return this.insertAt(this.itemTray.length, mesh, _doOnSelect, _properties);
+}
+
+/**
+ * Insert a new item at a given position of the Menu. Items after it shift one slot over
+ * @param {number} index - Position in the menu where the item will be placed
+ * @param {THREE.Mesh | THREE.Group} mesh - A Mesh or Group of meshes to represent the item
+ * @param {function | Menu} _doOnSelect - Optional callback function for the item, or a Menu to open as its submenu
+ * @param {object} _properties - Optional properites for the item such as its default animation behavior, or its label, subtitle & description
+ * @returns {number} the id assigned to the item, also stored in mesh.name
+ */
+Menu.prototype.insertAt = function (index, mesh, _doOnSelect = null, _properties) {
+  // items of virtualized menus can wait for the meshFactory, an empty object stands in for their mesh
+  const factory = !mesh && this.virtualize && this.meshFactory;
+  if (!mesh && !factory) return errorMsg("no mesh object provided");
+  if (factory) mesh = new THREE.Object3D();
+  // a mesh added back while it shrinks out is handed over at its own size first
+  if (this.removals.has(mesh)) this.removals.get(mesh)();
   
   const props = (_properties) ? _properties : {};
   props["rotationSpeed"] = this.defaultSpeed;
+  ["hoverBehavior", "hoverScale", "hoverEmissive"].forEach((key) => {
+    if (props[key] === undefined) props[key] = this[key];
+  });
   const item = new MenuItem(mesh, props);
 
-  const node = new MenuNode(item, _doOnSelect, this.itemTray.length, nextNodeID);
-  
-  // assign the previous and next nodes if the itemTray is still empty, and default it as the first selected node
-  if (nextNodeID == 0) {
-    firstNode = node;
-    latestNode = node;
-    node.selected = true;
-    nodeToSelect = node;
-  }
-
-  // setup the node relationships
-  node.prev = latestNode;
-  node.next = firstNode;
-  node.prev.next = node;
-  node.next.prev = node;
-  latestNode = node;
-  mesh.name = nextNodeID;
-
-  // recurse through each group, mesh object and child in case the object passed is a group
-  function assignTags(obj, id) {
-    if (obj) obj.itemTag = nextNodeID;
-    if (Object.hasOwn(obj, "children") && obj.children.length > 0) {
-      for (let i = 0; i < obj.children.length; i++ ) {
-        assignTags(obj.children[i], nextNodeID);
-      }
-    }
+  const node = new MenuNode(item, _doOnSelect, this.model.nextID);
+  node.itemProperties = props;
+  if (factory) node.placeholder = mesh;
+  if (item.label && !this.virtualize) this.createLabel(node, props);
+  this.captureMesh(node);
+  if (node.disabled) this.applyDisabled(node);
+
+  // Add the objects into the scene then reposition into rotational setup. The model selects the first item added
+  // Virtualized menus add them once they enter the window, filtered menus once the filter matches them
+  this.model.insert(index, node);
+  if (!this.virtualize && !node.filtered) this.itemGroup.add(mesh);
+
+  // virtualized items are set up by the window when they enter it
+  if (this.opened && !this.virtualize) {
+    // grow the new item in while the others make room for it
+    mesh.scale.set(0, 0, 0);
+    gsap.to(mesh.scale, {
+      x: node.properties.scale.x, y: node.properties.scale.y, z: node.properties.scale.z,
+      duration: this.openTime,
+      onComplete: () => { item.enabled = true; }
+    });
   }
-  assignTags(mesh, nextNodeID);
-  nextNodeID++;
+  // stay hidden until the menu opens, submenus are in the scene long before that
+  else if (!this.virtualize) mesh.scale.set(0, 0, 0);
+  this.repositionNodes(this.opened);
+  this.updateLabels();
+  return node.id;
+}
+
+// Tag the mesh of a node with its id, and save its size and materials for the layout and the transitions
+Menu.prototype.captureMesh = function (node) {
+  const mesh = node.node.item;
+  mesh.name = node.id;
+  assignTags(mesh, node.id);
   mesh.position.set(0,0,0);
 
   // save the properties of the added mesh for any opening/closing transition setting
   node.properties["scale"] = {
-    x: node.node.item.scale.x,
-    y: node.node.item.scale.y,
-    z: node.node.item.scale.z
-  }
-  if (node.node.item.material && Object.hasOwn(node.node.item.material, "transparent")) {
-    node.properties["transparent"] = node.node.item.material.transparent;
-    node.properties["opacity"] = node.node.item.material.opacity;
+    x: mesh.scale.x,
+    y: mesh.scale.y,
+    z: mesh.scale.z
   }
+  node.properties["bounds"] = measureObject(mesh, node.properties.scale);
+  node.properties["materials"] = new Map();
+  mesh.traverse((child) => {
+    forEachMaterial(child, (material) => {
+      node.properties.materials.set(material, { transparent: material.transparent, opacity: material.opacity });
+    });
+  });
+}
 
-  // Add the objects into the scene then reposition into rotational setup  
-  this.itemTray.push(node);
-  this.itemTrayAction.push(_doOnSelect);
-  this.itemGroup.add(mesh);
-  this.itemCount++;
-  this.repositionNodes();
+// Draw the label of a node, using the look of the menu unless the item sets its own
+Menu.prototype.createLabel = function (node, props = {}) {
+  const pick = (key, fallback) => (props[key] !== undefined) ? props[key] : fallback;
+  node.label = new MenuLabel({
+    text: node.node.label,
+    subtitle: node.node.subtitle,
+    font: pick("labelFont", this.labelFont),
+    subtitleFont: pick("labelSubtitleFont", this.labelSubtitleFont),
+    color: pick("labelColor", this.labelColor),
+    background: pick("labelBackground", this.labelBackground),
+    resolution: this.labelResolution,
+    type: this.labelType,
+    offset: pick("labelOffset", this.labelOffset)
+  });
+  node.label.visibility = pick("labelVisibility", null);
+  this.labelGroup.add(node.label.object);
 }
 
-Menu.prototype.repositionNodes = function() {
+/**
+ * Change the label of an item, adding one if it had none
+ * @param {number | THREE.Object3D} target - The item id returned by add() or the mesh that was added
+ * @param {string} label - Main text, an empty string removes the label
+ * @param {string} [subtitle] - Smaller text under it
+ * @param {string} [description] - Text shown in the info panel
+ */
+Menu.prototype.setLabel = function (target, label, subtitle = "", description) {
+  const node = this.findNode(target);
+  if (!node) return;
+  const item = node.node;
+  item.label = label || "";
+  item.subtitle = subtitle || "";
+  if (description !== undefined) item.description = description || "";
 
-  // reset the itemGroup's position to original 0,0,0 in case new items are added every time
-  this.itemGroup.position.set(0, 0 ,0);
+  if (!item.label && node.label) {
+    node.label.dispose();
+    node.label = null;
+  }
+  else if (item.label && !node.label && this.isNodeVisible(node)) this.createLabel(node, node.itemProperties);
+  else if (node.label) node.label.setText(item.label, item.subtitle);
+  this.layoutNodes();
+  this.updateLabels();
+  if (this.accessibility) this.accessibility.refresh();
 
-  let pos = {
-    x: 0 - this.gapBetweenItems.x, 
-    y: 0 - this.gapBetweenItems.y, 
-    z: 0 - this.gapBetweenItems.z 
-  };
-  let median;
-  
-  // determine if the total is odd or even, then decide which node should be moved to the other side after reaching the median
-  const total = nextNodeID;
-  const isEven = (total % 2 == 0);
-  let medianFactor = 0;
-  median = Math.floor(total / 2);
-
-  let current = firstNode;
-  do {
-    pos = {
-      x: pos.x + this.gapBetweenItems.x,
-      y: pos.y + this.gapBetweenItems.y,
-      z: pos.z + this.gapBetweenItems.z
-    }
-    current.node.item.position.set(pos.x, pos.y, pos.z);
-    pos.x = current.node.item.position.x;
-    pos.y = current.node.item.position.y;
-    pos.z = current.node.item.position.z;
-    // median only works for 3 or more entries 
-    if ((nextNodeID === 2 && current.id === 1) || (current.id === median + 1)) leftEdge = current;
-    if (current.id === median) {
-      // add a medianFactor for odd-valued entries to compensate for the extra gap between items
-      medianFactor = isEven ? 0 : 1;
-      pos.x = - (current.node.item.position.x + ((this.gapBetweenItems.x ) * medianFactor)) ;
-      pos.y = - (current.node.item.position.y + ((this.gapBetweenItems.y ) * medianFactor)) ;
-      pos.z = - (current.node.item.position.z + ((this.gapBetweenItems.z ) * medianFactor)) ;
-      rightEdge = current;
-    }
+  // the panel only redraws when its node changes
+  if (this.infoPanel && this.infoPanel.node === node) {
+    this.infoPanel.node = null;
+    this.updateLabels();
+  }
+}
 
-    switch(this.openBehavior) {
-      case this.OPEN_GROW: 
-        current.node.item.scale.set({x: 0, y: 0, z: 0});
-      break;
-    }
-    current = current.next;
-  } while (current.id != firstNode.id);
+/**
+ * Enable or disable an item. Disabled items are dimmed, skipped by moves when skipDisabled is on, and refuse to be selected
+ * @param {number | THREE.Object3D} target - The item id returned by add() or the mesh that was added
+ * @param {boolean} enabled - false to disable the item
+ */
+Menu.prototype.setItemEnabled = function (target, enabled) {
+  this.model.setEnabled(this.findNode(target), enabled);
+}
 
-  
-  // apply the offset after calculating the positions
-  this.itemGroup.position.x += this.menuOffsetItems.x;
-  this.itemGroup.position.y += this.menuOffsetItems.y;
-  this.itemGroup.position.z += this.menuOffsetItems.z;
+Menu.prototype.isItemEnabled = function (target) {
+  return this.model.isEnabled(this.findNode(target));
+}
+
+// Dim a disabled item and its label, or bring them back
+Menu.prototype.applyDisabled = function (node) {
+  const disabled = node.disabled;
+  node.node.setDisabled(disabled, this.disabledStyle, this.disabledBrightness);
+  // the dimmed copies fade in and out like the materials they stand for
+  node.node.dimmedMaterials.forEach((copy, original) => {
+    const saved = node.properties.materials.get(original);
+    if (saved) node.properties.materials.set(copy, saved);
+  });
+  if (node.label) node.label.material.color.setScalar(disabled && this.disabledStyle !== "none" ? this.disabledBrightness : 1);
+}
+
+// Shake an item that can't be selected and report it
+Menu.prototype.denyItem = function (node) {
+  const mesh = node.node.item;
+  if (!node.denying) {
+    node.denying = true;
+    const shake = node.node.animateDenied(this.deniedShake);
+    const done = () => { node.denying = false; };
+    if (shake && typeof shake.then === "function") shake.then(done, done);
+    else done();
+  }
+  this.events.emit("denied", { menu: this, index: node.index, id: node.id, mesh: mesh });
+}
 
-  return pos;
+// Show the labels allowed by their visibility, and describe the selected item in the info panel
+Menu.prototype.updateLabels = function () {
+  this.getVisibleNodes().forEach((node) => {
+    if (!node.label) return;
+    const visibility = node.label.visibility || this.labelVisibility;
+    let visible = this.opened;
+    if (visibility === "selected") visible = visible && node === this.nodeToSelect;
+    else if (visibility === "hover") visible = visible && node === this.hoveredNode;
+    else if (visibility !== "always") visible = false;
+    node.label.show(visible, this.labelTime);
+  });
+  if (this.infoPanel) this.infoPanel.show(this.opened ? this.nodeToSelect : null);
+  if (this.scrollIndicators) this.scrollIndicators.update();
 }
 
 /**
- * Reload all Menu behaviors if its properties are updated
+ * Remove an item from the Menu. The selection stays on the same item, or moves to its neighbor if it was the one removed
+ * @param {number | THREE.Object3D} target - The item id returned by add() or the mesh that was added
+ * @returns {THREE.Mesh | THREE.Group} the removed mesh, null for items built by the meshFactory as their mesh goes back to the pool
  */
-Menu.prototype.reload = function () {
-  if (this.itemTray.length > 0) {
-    this.itemTray.forEach(element => {
-      element.node.rotationSpeed = this.defaultSpeed;
+Menu.prototype.remove = function (target) {
+  const node = this.findNode(target);
+  if (!node) return null;
+
+  const mesh = node.node.item;
+  const shown = this.isNodeVisible(node);
+  if (node === this.hoveredNode) this.hoveredNode = null;
+  this.cancelSelection(node);
+  this.visibleNodes.delete(node);
+  this.model.remove(node);
+
+  // shrink the removed item out before taking it off the group
+  node.node.enabled = false;
+  gsap.killTweensOf(node);
+  if (node.label) node.label.dispose();
+  node.label = null;
+  this.updateLabels();
+  // the mesh goes back as it was added: its own materials and size, dimmed copies are freed
+  const release = () => {
+    this.removals.delete(mesh);
+    node.node.restore();
+    mesh.scale.set(node.properties.scale.x, node.properties.scale.y, node.properties.scale.z);
+    this.itemGroup.remove(mesh);
+    if (node.placeholder) this.releaseMesh(node);
+  };
+  if (this.opened && shown) {
+    this.removals.set(mesh, release);
+    gsap.to(mesh.scale, {
+      x: 0, y: 0, z: 0,
+      duration: this.closeTime,
+      onComplete: release
     });
   }
-  
-  if (this.scene) {
-    this.scene.add(this.itemGroup);    
-  }
+  else release();
 
-  if (this.camera) this.camera.position.set(0, 0, this.cameraDistance);
-  this.registerEvents();
+  if (this.itemTray.length) this.repositionNodes(this.opened);
+  return node.placeholder ? null : mesh;
 }
 
 /**
- * Animate every item in the menu tray. Requires elapsedTime to work
- * @param {*} elapsedTime - delta time for the animation
+ * Move an existing item to another position of the Menu
+ * @param {number | THREE.Object3D} target - The item id returned by add() or the mesh that was added
+ * @param {number} toIndex - The new position of the item
  */
-Menu.prototype.animate = function (elapsedTime = null) {
-  if (!elapsedTime) return;
+Menu.prototype.move = function (target, toIndex) {
+  const node = this.findNode(target);
+  if (!node) return;
 
-  let startingNode = firstNode, currentNode = startingNode;
-  do {
-    if (!currentNode) break;
-    const item = currentNode.node;
-    if (currentNode.selected) item.animateSelected(elapsedTime);
-    else item.animateDefault(elapsedTime);
-    currentNode = currentNode.next;
-  } while (currentNode.id != startingNode.id);
+  this.model.move(node, toIndex);
+  this.repositionNodes(this.opened);
 }
 
 /**
- * Menu Behaviors on keypresses
+ * Remove every item from the Menu
  */
-Menu.prototype.moveToNext = function () {
-  // unless rotate to previous has been added, block this action for now
-  if (!this.opened || nextNodeID <= 1 || isMoving || !this.revolvingMenu && this.itemSelected >= this.itemTray.length - 1) return keyPressed = false;
-  
-  let startingNode = firstNode, currentNode = startingNode;
-  isMoving = true;
-  do {
-    const item = currentNode.node;
-    // transfer the leftmost node to the rightmost node
-    if (currentNode == leftEdge) {      
-      leftEdge.node.item.position.set(
-        leftEdge.prev.node.item.position.x + this.gapBetweenItems.x, 
-        leftEdge.prev.node.item.position.y + this.gapBetweenItems.y,
-        leftEdge.prev.node.item.position.z + this.gapBetweenItems.z
-      );
-      rightEdge = leftEdge;
-    }
-    gsap.to(item.item.position, { 
-      x: item.item.position.x - this.gapBetweenItems.x, 
-      y: item.item.position.y - this.gapBetweenItems.y, 
-      z: item.item.position.z - this.gapBetweenItems.z, 
-      duration: this.shuffleSpeed * 0.10,
-      onComplete: ()=> {
-        keyPressed = false 
-      } 
-    });
-    if (currentNode.selected) {
-      nodeToSelect = currentNode.next;
-      currentNode.selected = false;
-    }
-    currentNode = currentNode.next;
-  } while (currentNode.id != firstNode.id);
-  leftEdge = leftEdge.next;
+Menu.prototype.clear = function () {
+  this.cancelSelection();
+  this.model.allItems.forEach((node) => {
+    gsap.killTweensOf(node);
+    gsap.killTweensOf(node.node.item.scale);
+    node.node.restore();
+    node.node.item.scale.set(node.properties.scale.x, node.properties.scale.y, node.properties.scale.z);
+    this.itemGroup.remove(node.node.item);
+    if (node.placeholder) this.releaseMesh(node);
+    if (node.label) node.label.dispose();
+    node.label = null;
+  });
+  this.hoveredNode = null;
+  this.visibleNodes = new Set();
+  this.model.clear();
+  this.updateLabels();
+}
 
-  nodeToSelect.selected = true;
-  this.itemSelected = nodeToSelect.id;
-  isMoving = false;
+/**
+ * Find the node of an item using its id, or the mesh that was added
+ * @param {number | THREE.Object3D} target - The item id returned by add() or the mesh that was added
+ */
+Menu.prototype.findNode = function (target) {
+  if (target === null || target === undefined) return null;
+  if (target instanceof MenuNode) return this.model.find(target);
+  return this.model.find((typeof target === "object") ? target.itemTag : target);
 }
 
-Menu.prototype.moveToPrev = function () {
-  // unless rotate to previous has been added, block this action when exceeding the first entry
-  if (!this.opened || nextNodeID <= 1 || isMoving || !this.revolvingMenu && this.itemSelected <= 0) return keyPressed = false;
-
-  let startingNode = firstNode, currentNode = startingNode;
-  isMoving = true;
-  do {
-    const item = currentNode.node;
-    // transfer the rightmost node to the leftmost node
-    if (currentNode == rightEdge) {      
-      rightEdge.node.item.position.set(
-        rightEdge.next.node.item.position.x - this.gapBetweenItems.x, 
-        rightEdge.next.node.item.position.y - this.gapBetweenItems.y,
-        rightEdge.next.node.item.position.z - this.gapBetweenItems.z
-      );
-      leftEdge = rightEdge;
-    }
-    gsap.to(item.item.position, { 
-      x: item.item.position.x + this.gapBetweenItems.x,
-      y: item.item.position.y + this.gapBetweenItems.y,
-      z: item.item.position.z + this.gapBetweenItems.z,
-      duration: this.shuffleSpeed * 0.10, 
-      onComplete: ()=> { 
-        keyPressed = false;
-      } 
-    });
+/**
+ * Position of an item in the Menu, or -1 if it isn't part of it
+ * @param {number | THREE.Object3D} target - The item id returned by add() or the mesh that was added
+ */
+Menu.prototype.indexOf = function (target) {
+  return this.itemTray.indexOf(this.findNode(target));
+}
 
-    if (currentNode.selected) {
-      nodeToSelect = currentNode.prev;
-      currentNode.selected = false;
-    }
-    currentNode = currentNode.prev;
-  } while (currentNode.id != firstNode.id);
-  rightEdge = rightEdge.prev;
+// Follow the model: redraw the items it adds, removes or disables, and report its changes as menu events
+Menu.prototype.relayModel = function () {
+  this.model.on("change", (evt) => this.emitChange(evt.previous));
+  this.model.on("item-added", (evt) => {
+    this.events.emit("item-added", { menu: this, id: evt.id, index: evt.index, mesh: evt.item.node.item });
+  });
+  this.model.on("item-removed", (evt) => {
+    this.events.emit("item-removed", { menu: this, id: evt.id, index: evt.index, mesh: evt.item.node.item });
+  });
+  this.model.on("item-enabled", (evt) => {
+    this.applyDisabled(evt.item);
+    this.events.emit("item-enabled", { menu: this, id: evt.id, index: evt.index, enabled: evt.enabled });
+  });
+  this.model.on("select", (evt) => this.events.emit("select", { menu: this, index: evt.index, id: evt.id }));
+  this.model.on("denied", (evt) => this.denyItem(evt.item));
+  this.model.on("edge", (evt) => {
+    this.bounce(evt.direction);
+    this.events.emit("edge", { menu: this, direction: evt.direction, index: evt.index, id: evt.id });
+  });
+  this.model.on("filter", (evt) => this.applyFilter(evt.hidden, evt.shown));
+}
 
-  nodeToSelect.selected = true;
-  this.itemSelected = nodeToSelect.id;
-  isMoving = false;
+/**
+ * Only show the items whose label, subtitle or "tags" match a query, using filterMatch. The others collapse out,
+ * the rest close ranks and the selection moves to the best match. Labels match better than subtitles and tags
+ * @param {string} query - Text to look for, an empty string brings every item back
+ * @returns {number} how many items match
+ */
+Menu.prototype.filter = function (query) {
+  this.filterQuery = (typeof query === "string") ? query : "";
+  const match = this.getMatcher();
+  return this.model.setFilter(this.filterQuery ? (node) => this.scoreNode(node, this.filterQuery, match) : null);
 }
 
-Menu.prototype.selectItem = function () {
-  if (!this.opened || !this.enabled) return keyPressed = false;
-
-  const item = nodeToSelect.node;
-  const action = nodeToSelect.action;
-
-  // grow the item when clicked
-  gsap.fromTo(
-    item.item.scale, 
-    { x: 1, y: 1, z: 1 }, 
-    { x: item.item.scale.x + this.resizeScale, y: item.item.scale.y + this.resizeScale, z: item.item.scale.z + this.resizeScale, 
-      duration: this.resizeSpeed * 0.10, yoyo: true, repeat: 1,
-      onComplete: () => {
-        keyPressed = false;
-        if (typeof action === "function") action();
-      }
-     }
-  );
+Menu.prototype.clearFilter = function () {
+  return this.filter("");
+}
+
+// how well a node matches a query: its label counts fully, its subtitle and tags half
+Menu.prototype.scoreNode = function (node, query, match = this.getMatcher()) {
+  const item = node.node;
+  const tags = (node.itemProperties && Array.isArray(node.itemProperties.tags)) ? node.itemProperties.tags : [];
+  let score = item.label ? match(query, item.label) || 0 : 0;
+  [item.subtitle].concat(tags).forEach((text) => {
+    if (typeof text === "string" && text) score = Math.max(score, (match(query, text) || 0) / 2);
+  });
+  return score;
+}
+
+// the matcher picked by filterMatch, falling back to the fuzzy one
+Menu.prototype.getMatcher = function () {
+  if (typeof this.filterMatch === "function") return this.filterMatch;
+  return getMatcher(this.filterMatch) || getMatcher("fuzzy");
 }
 
 /**
- * Behaviors for opening, closing or translations
+ * Register a custom matcher usable by every Menu through the "filterMatch" property
+ * @param {string} name - Name used to pick the matcher
+ * @param {function} matcher - Function(query, text) returning a score, 0 when the text doesn't match
  */
-Menu.prototype.open = function(_callback = null) {
-  if (this.opened) return;
-  let currentNode = firstNode;
-
-  switch(this.openBehavior) {
-    // resize on menu open
-    case this.OPEN_GROW:
-      do {
-        const item = currentNode.node;
-        gsap.to(
-          item.item.scale,
-          { 
-            x: currentNode.properties.scale.x, y: currentNode.properties.scale.y, z: currentNode.properties.scale.z, 
-            duration: this.openTime,
-            onComplete: () => { item.enabled = true; }
-          }
-        );
-        currentNode = currentNode.next;
-      } while (currentNode.id != firstNode.id);
-      break;
-    // fade-in on menu open
-    case this.OPEN_TRANSPARENCY:
-      do {
-        const item = currentNode.node;
-        if (item.item.isGroup) {
-          item.item.traverse((child) => {
-            if (!child.isGroup) {
-              if (Array.isArray(child.material)) {
-                child.material.forEach((mat) => {
-                  assignTransparency(item, mat, 0, 1, this.openTime, 100);
-                });
-              }
-              else {
-                assignTransparency(item, child.material, 0, 1, this.openTime, 100);
-              }
-            }
-          });
-        }
-        else {
-          if (Array.isArray(item.item.material)) {
-            item.item.material.forEach((mat) => {
-              assignTransparency(item, mat, 0, 1, this.openTime, 100);
-            });
-          }
-          else {
-            assignTransparency(item, item.item.material, 0, 1, this.openTime, 100);
-          }
-        }
-        
-        currentNode = currentNode.next;
-      } while (currentNode.id != firstNode.id);
-      break;
+Menu.registerMatcher = function (name, matcher) {
+  return registerMatcher(name, matcher);
+}
 
-    function assignTransparency(menuItem, material, opacityStart, opacityEnd, _duration, easeLevel = 100) {
-      material.transparent = true;
-      material.opacity = opacityStart,
-      gsap.to(
-        material,
-        { 
-          "opacity": opacityEnd, 
-          duration: _duration, 
-          ease: "steps(" + easeLevel + ")",
-          onComplete: () => { menuItem.enabled = true; }
-        }
-      );
+// Collapse the items the filter took out, grow back the ones it brought back and close ranks around the selection
+Menu.prototype.applyFilter = function (hidden, shown) {
+  hidden.forEach((node) => {
+    if (node === this.hoveredNode) {
+      node.node.hovered = false;
+      this.hoveredNode = null;
     }
-  }
-  
-  this.opened = this.enabled = true;
-  if (typeof _callback === "function") _callback();
-}
+    if (node.label) node.label.show(false, this.labelTime);
+    this.cancelSelection(node);
+    // the window culls the items of virtualized menus
+    if (this.virtualize) return;
+    const mesh = node.node.item;
+    node.node.enabled = false;
+    gsap.killTweensOf(mesh.scale);
+    if (this.opened) {
+      gsap.to(mesh.scale, {
+        x: 0, y: 0, z: 0,
+        duration: this.filterTime,
+        onComplete: () => this.itemGroup.remove(mesh)
+      });
+    }
+    else this.itemGroup.remove(mesh);
+  });
 
-Menu.prototype.close = function(_callback = null) {
-  if (!this.opened) return;
-  let currentNode = firstNode;
-  do {
-    const item = currentNode.node;
-    gsap.to(
-      item.item.scale,
-      { x: 0, y: 0, z: 0, duration: this.closeTime }
-    );
-    currentNode = currentNode.next;
-  } while (currentNode.id != firstNode.id);
-  this.opened = this.enabled = false;
-  if (typeof _callback === "function") _callback();
+  shown.forEach((node) => {
+    node.slot = null;
+    if (this.virtualize) return;
+    const mesh = node.node.item;
+    const scale = node.properties.scale;
+    gsap.killTweensOf(mesh.scale);
+    this.itemGroup.add(mesh);
+    if (this.opened) {
+      gsap.to(mesh.scale, {
+        x: scale.x, y: scale.y, z: scale.z,
+        duration: this.filterTime,
+        onComplete: () => { node.node.enabled = true; }
+      });
+    }
+    // stay hidden until the menu opens
+    else mesh.scale.set(0, 0, 0);
+  });
+
+  this.repositionNodes(this.opened);
+  this.updateLabels();
+  this.events.emit("filter", { menu: this, query: this.filterQuery, count: this.itemTray.length });
 }
 
-// Translate the menu's position, rotation & scaling based on parameters passed
-Menu.prototype.moveMenu = function(parms = {}) {
-  if (!this.opened || !parms) return;
-  
-  const moveDur = (parms.duration && typeof parms.duration === "number") ? parms.duration : 0.5;
+// distance between two slots, wrapped around to the shortest way for revolving menus
+Menu.prototype.wrapOffset = function (offset) {
+  return this.model.wrapOffset(offset);
+}
 
-  const moveX = (parms.x && typeof parms.x === "number") ? parms.x + this.menuOffsetItems.x: 0 + this.menuOffsetItems.x;
-  const moveY = (parms.y && typeof parms.y === "number") ? parms.y + this.menuOffsetItems.y: 0 + this.menuOffsetItems.y;
-  const moveZ = (parms.z && typeof parms.z === "number") ? parms.z + this.menuOffsetItems.z: 0 + this.menuOffsetItems.z;
-  
-  const rotateX = (parms.rotateX && typeof parms.rotateX === "number") ? parms.rotateX : 0;
-  const rotateY = (parms.rotateY && typeof parms.rotateY === "number") ? parms.rotateY : 0;
-  const rotateZ = (parms.rotateZ && typeof parms.rotateZ === "number") ? parms.rotateZ : 0;
-  
-  const scaleTo = (parms.scale && typeof parms.scale === "number") ? parms.scale : null;
-  const scaleToX = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleX : 1;
-  const scaleToY = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleY : 1;
-  const scaleToZ = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleZ : 1;
+// slot of a node relative to the selected node. Revolving menus split the items around the selection
+Menu.prototype.slotOffset = function (node) {
+  return this.wrapOffset(node.index - this.itemSelected);
+}
 
-  const scale = {
-    x: parms.scale ? scaleTo : scaleToX,
-    y: parms.scale ? scaleTo : scaleToY,
-    z: parms.scale ? scaleTo : scaleToZ,
-    duration: moveDur
-  };
+/**
+ * Place every item into its slot around the selected item
+ * @param {boolean} animate - Tween the items into their new slots instead of placing them instantly
+ */
+Menu.prototype.repositionNodes = function(animate = false) {
+  if (!this.firstNode) return;
 
-  gsap.to(this.itemGroup.position, { x: moveX, y: moveY, z: moveZ, duration: moveDur });
-  gsap.to(this.itemGroup.rotation, { x: rotateX, y: rotateY, z: rotateZ, duration: moveDur});
-  gsap.to(this.itemGroup.scale, scale);
-}
+  // reset the itemGroup's position to original 0,0,0 in case new items are added every time
+  this.itemGroup.position.set(0, 0 ,0);
 
-// Translate the menu's items such as their rotations & scaling based on parameters passed
-Menu.prototype.itemTransition = function(parms = {}) {
-  const moveDur = (parms.duration && typeof parms.duration === "number") ? parms.duration : 0.5;
+  // keep the scroll position continuous on revolving menus so the ring doesn't spin back around
+  const scrollTarget = this.scroll.target + this.wrapOffset(this.itemSelected - this.scroll.target);
+  const newNodes = this.itemTray.filter((node) => node.slot === null);
+  newNodes.forEach((node) => { node.slot = node.index; });
 
-  const scaleTo = (parms.scale && typeof parms.scale === "number") ? parms.scale : null;
-  const scaleToX = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleX : 1;
-  const scaleToY = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleY : 1;
-  const scaleToZ = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleZ : 1;
+  // virtualized menus only slide the items in the window, the others wait in their slot
+  if (this.virtualize) {
+    this.itemTray.forEach((node) => {
+      if (!this.visibleNodes.has(node)) node.slot = node.index;
+    });
+    this.updateWindow();
+  }
 
-  const iRotateX = (parms.rotateX && typeof parms.rotateX === "number") ? parms.rotateX : 0;
-  const iRotateY = (parms.rotateY && typeof parms.rotateY === "number") ? parms.rotateY : 0;
-  const iRotateZ = (parms.rotateZ && typeof parms.rotateZ === "number") ? parms.rotateZ : 0;
+  gsap.killTweensOf(this.itemTray);
+  if (animate) {
+    gsap.to(this.getVisibleNodes(), {
+      slot: (i, node) => node.slot + this.wrapOffset(node.index - node.slot),
+      duration: this.shuffleSpeed * 0.10,
+      onUpdate: () => this.layoutNodes()
+    });
+    this.scrollTo(scrollTarget);
+  }
+  else {
+    this.itemTray.forEach((node) => { node.slot = node.index; });
+    gsap.killTweensOf(this.scroll);
+    this.scroll.position = this.scroll.target = scrollTarget;
+    this.layoutNodes();
+    this.settleScroll(true);
+  }
 
-  const scale = {
-    x: parms.scale ? scaleTo : scaleToX,
-    y: parms.scale ? scaleTo : scaleToY,
-    z: parms.scale ? scaleTo : scaleToZ,
-    duration: moveDur
-  };
+  // apply the offset after calculating the positions
+  this.itemGroup.position.x += this.menuOffsetItems.x;
+  this.itemGroup.position.y += this.menuOffsetItems.y;
+  this.itemGroup.position.z += this.menuOffsetItems.z;
+  if (this.fitItems) this.fitCamera();
+}
 
-  const items = this.itemGroup.children;
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i];
-    gsap.to(item.rotation, {x: iRotateX, duration: moveDur });
-    gsap.to(item.rotation, {y: iRotateY, duration: moveDur });
-    gsap.to(item.rotation, {z: iRotateZ, duration: moveDur });
-    gsap.to(item.scale, scale);
+// Tween the scroll position of the menu. Every item follows it through layoutNodes
+// The promise resolves when the scroll stops, after any scroll started on top of this one
+Menu.prototype.scrollTo = function (target, duration = this.shuffleSpeed * 0.10, ease = "power1.out") {
+  // virtualized menus skip the far part of long scrolls, so only the last window of items scrolls by
+  const distance = target - this.scroll.position;
+  if (this.virtualize && Math.abs(distance) > this.windowSize) {
+    gsap.killTweensOf(this.scroll);
+    this.scroll.position = target - Math.sign(distance) * this.windowSize;
   }
+  this.scroll.target = target;
+  const settled = new Promise((resolve) => this.scrollWaiters.push(resolve));
+  gsap.to(this.scroll, {
+    position: target,
+    duration: duration,
+    ease: ease,
+    overwrite: "auto",
+    onUpdate: () => this.layoutNodes(),
+    onComplete: () => {
+      this.wrapScroll();
+      this.settleScroll(true);
+    }
+  });
+  return settled;
 }
 
-Menu.prototype.resetMenu = function () {
-  this.moveMenu({});
-  this.itemTransition({});
+// Bring the scroll position of revolving menus back within the first lap
+Menu.prototype.wrapScroll = function () {
+  const total = this.itemTray.length;
+  if (!this.revolvingMenu || !total) return;
+  const laps = Math.floor(this.scroll.target / total) * total;
+  this.scroll.position -= laps;
+  this.scroll.target -= laps;
 }
 
-// Fire a raycaster to detect which item is clicked
-Menu.prototype.clickItem = function(evt) {
-  if (!this.opened || clicked || !evt) return;
+// Resolve every promise waiting on the scroll
+Menu.prototype.settleScroll = function (finished) {
+  const waiters = this.scrollWaiters;
+  this.scrollWaiters = [];
+  waiters.forEach((resolve) => resolve(finished));
+}
 
-  pt.x = !isNaN(evt.clientX) ? (evt.clientX / window.innerWidth) * 2 - 1: 0;
-  pt.y = !isNaN(evt.clientY) ? -(evt.clientY / window.innerHeight) * 2 + 1 : 0;
+// Move every item to the transform of its current (possibly in-between) slot
+Menu.prototype.layoutNodes = function () {
+  this.updateWindow();
+  const spacing = this.getSpacing();
+  this.getVisibleNodes().forEach((node) => {
+    const offset = this.spacedOffset(this.wrapOffset(node.slot - this.scroll.position), spacing);
+    const transform = this.itemTransform(offset, node);
+    const mesh = node.node.item;
+    mesh.position.set(transform.position.x, transform.position.y, transform.position.z);
 
-  // fire raycaster from camera to pt
-  rayCaster.setFromCamera(pt, this.camera);
-  const intersects = rayCaster.intersectObjects( this.itemGroup.children );
-  
-  if (intersects.length) {
-    const item = intersects[0].object;
-    if (nodeToSelect.id === item.itemTag) {
-      this.selectItem();
-    }
-    else {
-      if (traversalCheck(nodeToSelect, rightEdge, item.itemTag)) {
-        this.moveToNext();
-        if (nodeToSelect.id != item.itemTag) {
-          const timer = setInterval(() => {
-            this.moveToNext();
-            if (nodeToSelect.id == item.itemTag) clearInterval(timer);
-          }, (this.itemCount * 0.10) + (200 * this.shuffleSpeed));
-        }
-      }
-      else if (traversalCheck(nodeToSelect, leftEdge, item.itemTag, true)) {
-        this.moveToPrev();
-        if (nodeToSelect.id != item.itemTag) {
-          const timer = setInterval(() => {
-            this.moveToPrev();
-            if (nodeToSelect.id == item.itemTag) clearInterval(timer);
-          }, (this.itemCount * 0.10) + (200 * this.shuffleSpeed));
-        }
-      }
+    // leave alone any axis the item is already spinning on
+    if (transform.rotation && this.faceCamera) {
+      if (!node.node.rotateX) mesh.rotation.x = transform.rotation.x;
+      if (!node.node.rotateY) mesh.rotation.y = transform.rotation.y;
+      if (!node.node.rotateZ) mesh.rotation.z = transform.rotation.z;
     }
-  }
+  });
+  this.followLabels();
+  if (this.scrollIndicators) this.scrollIndicators.update();
+}
+
+// Keep every label under its item, shrinking with it during transitions
+Menu.prototype.followLabels = function () {
+  this.getVisibleNodes().forEach((node) => {
+    if (!node.label) return;
+    const mesh = node.node.item;
+    node.label.follow(mesh, node.properties.scale.x ? mesh.scale.x / node.properties.scale.x : 1);
+  });
 }
 
-function traversalCheck(selectedNode, endNode, targetID, isLeft = false) {
+// Distances between neighbors for "auto" spacing: half of each item along the layout's axis, plus itemMargin.
+// null when items keep the gaps of the layout
+Menu.prototype.getSpacing = function () {
+  const layout = this.getLayout();
+  const total = this.itemTray.length;
+  if (this.spacing !== "auto" || this.virtualize || typeof layout.spacingAxis !== "function" || !total) return null;
+  const axis = new THREE.Vector3().copy(layout.spacingAxis(this));
+  const unit = axis.length();
+  if (!unit) return null;
+  axis.divideScalar(unit);
 
-  const end = endNode;
-  let current = selectedNode;
-  while (current.id != end.id) {
-    if (current.id == targetID) return true;
-    else if (isLeft) current = current.prev;
-    else current = current.next;
-  }
-  if (current.id == targetID) return true;
-  return false;
+  const extents = this.itemTray.map((node) => {
+    const size = node.properties.bounds.getSize(new THREE.Vector3());
+    return Math.abs(size.x * axis.x) + Math.abs(size.y * axis.y) + Math.abs(size.z * axis.z);
+  });
+  const steps = extents.map((extent, i) => extent / 2 + this.itemMargin + extents[(i + 1) % total] / 2);
+  const stops = [0];
+  for (let i = 1; i < total; i++) stops.push(stops[i - 1] + steps[i - 1]);
+  return { steps: steps, stops: stops, lap: stops[total - 1] + steps[total - 1], unit: unit };
+}
+
+// Stretch an offset in slots so the item lands at its packed distance from the selection, counted in layout slots
+Menu.prototype.spacedOffset = function (offset, spacing = this.getSpacing()) {
+  if (!spacing) return offset;
+  const from = this.scroll.position;
+  return (packedDistance(spacing, from + offset) - packedDistance(spacing, from)) / spacing.unit;
 }
 
 /**
- * Event Listeners for menu actions
+ * Measure every item again, after their meshes changed shape or size. Auto spacing and fitCamera use these measures
  */
-Menu.prototype.registerEvents = function () {
-  let clickTimer; //prevent continous click events
-  
-  // on keydown
-  window.addEventListener("keydown", (evt) => {
-    if (keyPressed || !this.enabled) return;
-    keyPressed = true;
-    switch(evt.key) {
-      case this.prevKey:
-        this.moveToPrev();
-        break;
-      case this.nextKey:
-        this.moveToNext();
-        break;
-      case this.selectKey:
-        this.selectItem();
-        break;
-      default:
-        keyPressed = false;
-        break;
-    }
+Menu.prototype.measureItems = function () {
+  this.model.allItems.forEach((node) => {
+    node.properties.bounds = measureObject(node.node.item, node.properties.scale);
   });
+  this.layoutNodes();
+  if (this.fitItems) this.fitCamera();
+}
 
-  // mouse clicks
-  window.addEventListener("pointerup", (evt) => {
-    if (clickTimer) {
-      clicked = false;
-      clearTimeout(clickTimer);
-    }
-    const clickGap = 100;
+/**
+ * Move the camera back along its view until a number of items around the selection fit on screen, fitMargin included.
+ * Orthographic cameras zoom instead. Runs on resize and when items change while fitItems is set
+ * @param {number} [count] - How many items to frame, fitItems by default
+ * @returns {boolean} whether the camera was fitted
+ */
+Menu.prototype.fitCamera = function (count = this.fitItems) {
+  const camera = this.camera;
+  if (!camera || !count || !this.itemTray.length) return false;
 
-    clickTimer = setTimeout(()=> {
-      this.clickItem(evt)
-      clicked = true;
-    }, clickGap);
-    
-  })
+  // the slots at both ends and the selection, grown by the largest item
+  const spacing = this.getSpacing();
+  const half = (Math.min(count, this.itemTray.length) - 1) / 2;
+  const box = new THREE.Box3();
+  [-half, 0, half].forEach((offset) => {
+    const position = this.itemTransform(this.spacedOffset(offset, spacing)).position;
+    box.expandByPoint(new THREE.Vector3(position.x, position.y, position.z));
+  });
+  const largest = new THREE.Vector3();
+  this.itemTray.forEach((node) => largest.max(node.properties.bounds.getSize(new THREE.Vector3())));
+  box.expandByVector(largest.multiplyScalar(0.5));
+  const size = box.getSize(new THREE.Vector3()).multiplyScalar(1 + this.fitMargin);
+  if (!size.x && !size.y) return false;
 
+  this.itemGroup.updateMatrixWorld();
+  const center = box.getCenter(new THREE.Vector3()).applyMatrix4(this.itemGroup.matrixWorld);
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  let distance;
+  if (camera.isPerspectiveCamera) {
+    // the viewport tells the aspect even when the app hasn't updated the camera for the new size yet
+    const viewport = this.getViewports().find((entry) => entry.camera === camera);
+    const bounds = viewport ? this.viewportBounds(viewport) : null;
+    const aspect = (bounds && bounds.height) ? bounds.width / bounds.height : camera.aspect;
+    const tan = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    distance = Math.max(size.y / 2 / tan, size.x / 2 / (tan * aspect)) + size.z / 2;
+  }
+  else if (camera.isOrthographicCamera) {
+    camera.zoom = Math.min((camera.right - camera.left) / size.x, (camera.top - camera.bottom) / size.y);
+    camera.updateProjectionMatrix();
+    distance = center.clone().sub(camera.getWorldPosition(new THREE.Vector3())).dot(direction);
+  }
+  else return false;
+
+  camera.position.copy(center).addScaledVector(direction, -distance);
+  if (camera.parent) camera.parent.worldToLocal(camera.position);
+  return true;
 }
 
 /**
- * Linked List Class for adding items into menu nodes
+ * Nodes whose items are in the scene: every node, or the ones in the window of a virtualized menu
+ * @returns {Array} the nodes, in no particular order when virtualized
  */
+Menu.prototype.getVisibleNodes = function () {
+  return this.virtualize ? Array.from(this.visibleNodes) : this.itemTray;
+}
 
-function MenuNode(_node, _action, _id) {
-  this.id = _id;
-  this.node = _node;
-  this.selected = false;
-  this.action = _action;
-  this.next = null;
-  this.prev = null;
-  this.properties = {};
+Menu.prototype.isNodeVisible = function (node) {
+  return !this.virtualize || this.visibleNodes.has(node);
+}
+
+// Keep the nodes within windowSize slots of the scroll position in the scene, and only those
+Menu.prototype.updateWindow = function () {
+  if (!this.virtualize) return;
+  const total = this.itemTray.length;
+  const center = Math.round(this.scroll.position);
+  const inWindow = new Set();
+  for (let offset = -this.windowSize; offset <= this.windowSize && total; offset++) {
+    let index = center + offset;
+    if (this.revolvingMenu) index = ((index % total) + total) % total;
+    if (this.itemTray[index]) inWindow.add(this.itemTray[index]);
+  }
+
+  this.visibleNodes.forEach((node) => {
+    if (!inWindow.has(node)) this.cullNode(node);
+  });
+  inWindow.forEach((node) => {
+    if (!this.visibleNodes.has(node)) this.showNode(node);
+  });
+  this.visibleNodes = inWindow;
+}
+
+// Bring a node into the window: build its mesh when the meshFactory makes it, then add it with its label
+Menu.prototype.showNode = function (node) {
+  if (node.placeholder) {
+    const item = node.node;
+    const entry = {
+      id: node.id, index: node.index,
+      label: item.label, subtitle: item.subtitle, description: item.description,
+      data: node.itemProperties.data
+    };
+    const mesh = this.meshFactory(entry, this.meshPool.pop() || null);
+    if (!mesh || !mesh.isObject3D) return errorMsg("the meshFactory returned no object for item " + node.id);
+    item.setMesh(mesh);
+    this.captureMesh(node);
+  }
+  if (node.disabled) this.applyDisabled(node);
+
+  // the same state as every other item: hidden until the menu opens
+  const mesh = node.node.item;
+  this.restoreItem(node);
+  if (!this.opened) mesh.scale.set(0, 0, 0);
+  node.node.enabled = this.opened;
+  this.itemGroup.add(mesh);
+  if (node.node.label) this.createLabel(node, node.itemProperties);
+}
+
+// Take a node out of the window. Meshes built by the meshFactory go back to the pool
+Menu.prototype.cullNode = function (node) {
+  const mesh = node.node.item;
+  gsap.killTweensOf([node, mesh.position, mesh.rotation]);
+  if (node === this.hoveredNode) this.hoveredNode = null;
+  node.node.restore();
+  this.itemGroup.remove(mesh);
+  if (node.label) node.label.dispose();
+  node.label = null;
+  if (node.placeholder) this.releaseMesh(node);
+}
+
+// Hand the factory-built mesh of a node to the pool, leaving the placeholder in its place
+Menu.prototype.releaseMesh = function (node) {
+  if (node.node.item === node.placeholder) return;
+  this.meshPool.push(node.node.setMesh(node.placeholder));
+  this.captureMesh(node);
+}
+
+/**
+ * Position and rotation of an item based on its distance from the selected slot
+ * @param {number} offset - distance in slots from the selection, can be fractional while the menu moves
+ * @param {MenuNode} node - the node being placed
+ */
+Menu.prototype.itemTransform = function (offset, node = null) {
+  return this.getLayout().transform(offset, this, node);
+}
+
+// the layout strategy picked through the "layout" property, falling back to the linear layout
+Menu.prototype.getLayout = function () {
+  return getLayout(this.layout) || getLayout(this.LAYOUT_LINEAR);
+}
+
+/**
+ * Register a custom layout usable by every Menu through the "layout" property
+ * @param {string} name - Name used to pick the layout
+ * @param {object} layout - Layout object with transform(offset, menu, node) and an optional verticalStep(menu)
+ */
+Menu.registerLayout = function (name, layout) {
+  return registerLayout(name, layout);
+}
+
+/**
+ * Reload all Menu behaviors if its properties are updated
+ */
+Menu.prototype.reload = function () {
+  if (this.model.allItems.length > 0) {
+    this.model.allItems.forEach(element => {
+      element.node.rotationSpeed = this.defaultSpeed;
+    });
+  }
+  
+  if (this.scene) {
+    this.scene.add(this.itemGroup);    
+  }
+
+  if (this.camera && this.positionCamera) this.camera.position.set(0, 0, this.cameraDistance);
+  if (this.fitItems) this.fitCamera();
+  this.registerEvents();
+  if (this.gamepad && this.gamepadLoop) this.gamepad.start();
+}
+
+/**
+ * Animate every item in the menu tray. Requires elapsedTime to work
+ * @param {*} elapsedTime - delta time for the animation
+ */
+Menu.prototype.animate = function (elapsedTime = null) {
+  if (this.gamepad && !this.gamepadLoop) this.gamepad.poll();
+  this.followLabels();
+  if (!elapsedTime) return;
+
+  this.getVisibleNodes().forEach((node) => {
+    if (node.selected) node.node.animateSelected(elapsedTime);
+    else node.node.animateDefault(elapsedTime);
+  });
+}
+
+/**
+ * Menu Behaviors on keypresses
+ */
+Menu.prototype.moveToNext = function () {
+  return this.moveBy(1);
+}
+
+Menu.prototype.moveToPrev = function () {
+  return this.moveBy(-1);
+}
+
+// up and down only move layouts that have rows, like the vertical list or the grid
+Menu.prototype.moveUp = function () {
+  const layout = this.getLayout();
+  if (typeof layout.verticalStep !== "function") return Promise.resolve(false);
+  return this.moveBy(-layout.verticalStep(this));
+}
+
+Menu.prototype.moveDown = function () {
+  const layout = this.getLayout();
+  if (typeof layout.verticalStep !== "function") return Promise.resolve(false);
+  return this.moveBy(layout.verticalStep(this));
+}
+
+/**
+ * Move the selection a number of slots forward (positive) or backward (negative)
+ * @param {number} steps - number of slots to move
+ * @returns {Promise<boolean>} resolves once the menu settles on the new selection
+ */
+Menu.prototype.moveBy = function (steps) {
+  if (!this.opened) return Promise.resolve(false);
+  const delta = this.model.moveBy(steps);
+  if (!delta) return Promise.resolve(false);
+  return this.scrollTo(this.scroll.target + delta);
+}
+
+// Stretch a bounded menu past its end and spring it back
+Menu.prototype.bounce = function (direction) {
+  if (!this.bounceDistance || gsap.isTweening(this.scroll)) return;
+  gsap.to(this.scroll, {
+    position: this.scroll.target + direction * this.bounceDistance,
+    duration: this.bounceTime / 2,
+    ease: "power2.out",
+    yoyo: true,
+    repeat: 1,
+    onUpdate: () => this.layoutNodes()
+  });
+}
+
+/**
+ * Jump straight to an item in one animation, going around the shortest way on revolving menus.
+ * Any move or jump started before it ends takes over from where the menu is
+ * @param {number | THREE.Object3D} target - Index of the item, its id when byId is set, or the mesh that was added
+ * @param {object} [_options] - { animate: false to jump instantly, duration in seconds, byId: true to pass an id }
+ * @returns {Promise<boolean>} resolves once the menu settles on the item, false if there is no such item
+ */
+Menu.prototype.jumpTo = function (target, _options = null) {
+  const byId = (_options && _options.byId) || (target !== null && typeof target === "object");
+  const delta = this.model.jumpTo(byId ? this.indexOf(target) : target);
+  if (delta === null) return Promise.resolve(false);
+
+  // closed menus have nothing to show, so they jump right away
+  const animate = (_options && _options.animate === false) ? false : this.opened;
+  if (!animate) {
+    gsap.killTweensOf(this.scroll);
+    this.scroll.position = this.scroll.target = this.scroll.target + delta;
+    this.wrapScroll();
+    this.layoutNodes();
+    this.settleScroll(true);
+    return Promise.resolve(true);
+  }
+  if (!delta && !gsap.isTweening(this.scroll)) return Promise.resolve(true);
+
+  // longer jumps take a little longer, without growing with every item skipped
+  const duration = (_options && typeof _options.duration === "number") ? _options.duration : this.shuffleSpeed * 0.10 * Math.sqrt(Math.abs(delta));
+  return this.scrollTo(this.scroll.target + delta, duration, "power2.out");
+}
+
+// Mark the node at index as the selected one, the model reports the change
+Menu.prototype.setSelection = function (index) {
+  this.model.select(index);
+}
+
+// report a new selection along with the index that was selected before it
+Menu.prototype.emitChange = function (previous) {
+  this.updateLabels();
+  this.events.emit("change", {
+    menu: this,
+    previous: previous,
+    index: this.itemSelected,
+    id: this.nodeToSelect ? this.nodeToSelect.id : null
+  });
+}
+
+/**
+ * Select the current item: play its clicked animation, then run its action or open its submenu
+ * @returns {Promise<boolean>} resolves once the animation and the action (when it returns a promise) are done,
+ * false when the selection is refused, or cancelled before its action runs: its item removed, filtered out or cleared,
+ * or its animation killed
+ */
+Menu.prototype.selectItem = function () {
+  if (!this.opened || !this.enabled || !this.nodeToSelect || this.selection) return Promise.resolve(false);
+
+  // disabled items are denied by the model
+  const node = this.nodeToSelect;
+  const item = node.node;
+  const action = node.action;
+  if (!this.model.activate()) return Promise.resolve(false);
+
+  // ignore further selections until this one has run its action
+  let finish;
+  const selected = new Promise((resolve) => { finish = resolve; });
+  const selection = { node: node, sequence: null, cancel: null };
+  this.selection = selection;
+  let settled = false;
+  const settle = () => {
+    if (settled) return false;
+    settled = true;
+    if (this.selection === selection) this.selection = null;
+    return true;
+  };
+  // an action that throws still settles the selection before its error goes on
+  const runAction = () => {
+    if (!settle()) return;
+    let result = null;
+    try {
+      if (action instanceof Menu) this.openSubmenu(action);
+      else if (typeof action === "function") result = action();
+    }
+    finally {
+      if (result && typeof result.then === "function") result.then(() => finish(true), () => finish(true));
+      else finish(true);
+    }
+  };
+  // the item removed, filtered out or cleared, or its animation killed before it ends, cancels the selection
+  selection.cancel = () => {
+    if (settle()) finish(false);
+  };
+
+  // items with their own clicked animation run it instead of the select behavior
+  // the action waits for the animation when it returns a tween or promise
+  const sequence = (typeof item.sequenceClicked === "function") ? item.animateClicked() : this.getSelectBehavior(item)(item, this);
+  selection.sequence = sequence;
+  if (sequence && typeof sequence.eventCallback === "function") {
+    // keep any onInterrupt the animation set for itself
+    const interrupted = sequence.eventCallback("onInterrupt");
+    sequence.eventCallback("onInterrupt", function () {
+      if (typeof interrupted === "function") interrupted.apply(this, arguments);
+      selection.cancel();
+    });
+  }
+  // an action throwing after the animation is reported like any uncaught error, not as a rejection nobody handles
+  if (sequence && typeof sequence.then === "function") {
+    const waited = sequence.then(runAction, selection.cancel);
+    if (waited && typeof waited.then === "function") waited.then(null, (error) => setTimeout(() => { throw error; }));
+  }
+  else runAction();
+  return selected;
+}
+
+/**
+ * Cancel the selection still running its animation, stopping the animation so its action never runs
+ * @param {MenuNode} [node] - Only cancel the selection of this node
+ */
+Menu.prototype.cancelSelection = function (node = null) {
+  const selection = this.selection;
+  if (!selection || (node && selection.node !== node)) return;
+  selection.cancel();
+  if (selection.sequence && typeof selection.sequence.kill === "function") selection.sequence.kill();
+}
+
+// the select behavior of an item, falling back to the menu's one and then to grow
+Menu.prototype.getSelectBehavior = function (item) {
+  const behavior = (item && item.selectBehavior !== null) ? item.selectBehavior : this.selectBehavior;
+  if (typeof behavior === "function") return behavior;
+  return getSelectBehavior(behavior) || getSelectBehavior("grow");
+}
+
+/**
+ * Register a custom select behavior usable by every Menu and item through the "selectBehavior" property
+ * @param {string} name - Name used to pick the behavior
+ * @param {function} behavior - Function(item, menu) animating the selected item, returning a tween or promise to wait for
+ */
+Menu.registerSelectBehavior = function (name, behavior) {
+  return registerSelectBehavior(name, behavior);
+}
+
+/**
+ * Behaviors for opening, closing or translations
+ *
+ * open, close, the moves, selectItem and moveMenu return Promises resolving to true once their animation has finished,
+ * or to false when the call was refused or cancelled. They never reject, so calls that nobody awaits stay harmless
+ * - open / close: calling the transition already running returns its promise, calling the other one cancels it
+ *   and plays the new one from where the items are
+ * - moves: a move during another one adds up with it, and every pending move resolves when the menu settles
+ * - selectItem: refused while the previous selection is still running its animation
+ * - moveMenu: a new call cancels the one still running and starts from where the menu is
+ */
+Menu.prototype.open = function(_callback = null) {
+  if (this.disposed) return Promise.resolve(false);
+  if (this.opened) return (this.transition && this.transition.type === "open") ? this.transition.promise : Promise.resolve(false);
+  this.events.emit("open-start", { menu: this });
+
+  // start from the items as they were added, whatever the last closing transition did to them
+  this.stopTransition();
+  this.layoutNodes();
+  this.getVisibleNodes().forEach((node) => this.restoreItem(node));
+  const timeline = this.buildTransition("open", this.firstNode ? this.openBehavior : this.OPEN_NOTRANSITION);
+
+  this.opened = this.enabled = true;
+  if (this.autoFocus) this.focus();
+  this.updateLabels();
+  return this.playTransition("open", timeline, () => {
+    this.getVisibleNodes().forEach((node) => { node.node.enabled = true; });
+    this.events.emit("open-end", { menu: this });
+    if (typeof _callback === "function") _callback();
+  });
+}
+
+Menu.prototype.close = function(_callback = null) {
+  if (!this.opened) return (this.transition && this.transition.type === "close") ? this.transition.promise : Promise.resolve(false);
+  this.events.emit("close-start", { menu: this });
+
+  // drop the hover state without animating it back, the items are leaving anyway
+  if (this.hoveredNode) this.hoveredNode.node.hovered = false;
+  this.hoveredNode = null;
+
+  this.stopTransition();
+  const timeline = this.buildTransition("close", this.closeBehavior);
+  this.opened = this.enabled = false;
+  this.blur();
+  this.updateLabels();
+  return this.playTransition("close", timeline, () => {
+    this.events.emit("close-end", { menu: this });
+    if (typeof _callback === "function") _callback();
+  });
+}
+
+/**
+ * Timeline of every item opening or closing. Items start one after the other when the transition has a stagger,
+ * from the first item when opening and from the last one when closing
+ * @param {string} type - "open" or "close"
+ * @param {number | string} behavior - OPEN_ constant or registered transition name
+ */
+Menu.prototype.buildTransition = function (type, behavior) {
+  const transition = this.getTransition(behavior);
+  const timeline = gsap.timeline({ paused: true });
+  const stagger = (this.transitionStagger !== null) ? this.transitionStagger : (transition.stagger || 0);
+  const nodes = this.virtualize ? this.getVisibleNodes().sort((a, b) => a.index - b.index) : this.itemTray;
+  const total = nodes.length;
+
+  nodes.forEach((node, i) => {
+    const order = (type === "open") ? i : total - 1 - i;
+    transition[type](timeline, node, this, {
+      duration: (type === "open") ? this.openTime : this.closeTime,
+      ease: this.transitionEase || transition.ease || "power1.out",
+      at: order * stagger
+    });
+  });
+  return timeline;
+}
+
+// Run an opening or closing timeline, then call onEnd once every tween in it has finished
+Menu.prototype.playTransition = function (type, timeline, onEnd) {
+  if (timeline.getChildren().length === 0) {
+    timeline.kill();
+    onEnd();
+    return Promise.resolve(true);
+  }
+
+  const transition = { type: type, timeline: timeline, resolve: null };
+  transition.promise = new Promise((resolve) => { transition.resolve = resolve; });
+  this.transition = transition;
+  timeline.eventCallback("onComplete", () => {
+    this.transition = null;
+    onEnd();
+    transition.resolve(true);
+  });
+  timeline.play();
+  return transition.promise;
+}
+
+// Drop the transition still running, when the menu is opened while closing or the other way around
+Menu.prototype.stopTransition = function () {
+  if (!this.transition) return;
+  this.transition.timeline.kill();
+  this.transition.resolve(false);
+  this.transition = null;
+}
+
+// Put an item back to the size and opacity it had when added
+Menu.prototype.restoreItem = function (node) {
+  const mesh = node.node.item;
+  gsap.killTweensOf(mesh.scale);
+  mesh.scale.set(node.properties.scale.x, node.properties.scale.y, node.properties.scale.z);
+  node.properties.materials.forEach((saved, material) => {
+    gsap.killTweensOf(material);
+    material.transparent = saved.transparent;
+    material.opacity = saved.opacity;
+  });
+}
+
+// the transition picked by an OPEN_ constant or a registered name, falling back to no transition
+Menu.prototype.getTransition = function (behavior) {
+  const name = (typeof behavior === "number") ? TRANSITIONS[behavior] : behavior;
+  return getTransition(name) || getTransition("none");
+}
+
+/**
+ * Register a custom open & close transition usable by every Menu through openBehavior & closeBehavior
+ * @param {string} name - Name used to pick the transition
+ * @param {object} transition - Transition object with open(timeline, node, menu, settings), close(timeline, node, menu, settings),
+ * and optional ease & stagger defaults
+ */
+Menu.registerTransition = function (name, transition) {
+  return registerTransition(name, transition);
+}
+
+/**
+ * Open a child menu on top of this one. The parent collapses or recedes depending on submenuBehavior
+ * @param {Menu} submenu - The menu to open
+ */
+Menu.prototype.openSubmenu = function (submenu) {
+  if (!(submenu instanceof Menu) || submenu === this || !this.opened) return;
+
+  submenu.parentMenu = this;
+  this.activeSubmenu = submenu;
+  switch (this.submenuBehavior) {
+    // push the parent back and keep it visible behind the child
+    case this.SUBMENU_RECEDE:
+      this.enabled = false;
+      this.blur();
+      gsap.to(this.itemGroup.position, { z: "-=" + this.recedeDistance, duration: this.closeTime });
+      break;
+    default:
+      this.close();
+      break;
+  }
+  submenu.open();
+}
+
+/**
+ * Close this submenu and return to its parent, which keeps the selection it had before
+ */
+Menu.prototype.back = function () {
+  const parent = this.parentMenu;
+  if (!parent) return;
+
+  // close any deeper submenu first so the whole branch goes away
+  if (this.activeSubmenu) this.activeSubmenu.back();
+  this.close();
+  this.parentMenu = null;
+  parent.activeSubmenu = null;
+
+  switch (parent.submenuBehavior) {
+    case parent.SUBMENU_RECEDE:
+      gsap.to(parent.itemGroup.position, { z: "+=" + parent.recedeDistance, duration: parent.openTime });
+      parent.enabled = true;
+      if (parent.autoFocus) parent.focus();
+      break;
+    default:
+      parent.open();
+      break;
+  }
+}
+
+/**
+ * Add an item that goes back to the parent menu when selected
+ * @param {THREE.Mesh | THREE.Group} mesh - A Mesh or Group of meshes to represent the item
+ * @param {object} _properties - Optional properites for the item such as its default animation behavior, or its label, subtitle & description
+ */
+Menu.prototype.addBackItem = function (mesh, _properties) {
+  return this.add(mesh, () => this.back(), _properties);
+}
+
+/**
+ * Path of menus from the root menu down to this one
+ * @returns {Array} entries of { menu, title, index, id } where index and id are the item selected in that menu
+ */
+Menu.prototype.getBreadcrumbs = function () {
+  const path = [];
+  let menu = this;
+  while (menu) {
+    path.unshift({
+      menu: menu,
+      title: menu.title,
+      index: menu.itemSelected,
+      id: menu.nodeToSelect ? menu.nodeToSelect.id : null
+    });
+    menu = menu.parentMenu;
+  }
+  return path;
+}
+
+// The deepest submenu currently opened from this menu, or this menu if it has none
+Menu.prototype.getActiveMenu = function () {
+  let menu = this;
+  while (menu.activeSubmenu) menu = menu.activeSubmenu;
+  return menu;
+}
+
+// Translate the menu's position, rotation & scaling based on parameters passed
+Menu.prototype.moveMenu = function(parms = {}) {
+  if (!this.opened || !parms) return Promise.resolve(false);
+  
+  const moveDur = (parms.duration && typeof parms.duration === "number") ? parms.duration : 0.5;
+
+  const moveX = (parms.x && typeof parms.x === "number") ? parms.x + this.menuOffsetItems.x: 0 + this.menuOffsetItems.x;
+  const moveY = (parms.y && typeof parms.y === "number") ? parms.y + this.menuOffsetItems.y: 0 + this.menuOffsetItems.y;
+  const moveZ = (parms.z && typeof parms.z === "number") ? parms.z + this.menuOffsetItems.z: 0 + this.menuOffsetItems.z;
+  
+  const rotateX = (parms.rotateX && typeof parms.rotateX === "number") ? parms.rotateX : 0;
+  const rotateY = (parms.rotateY && typeof parms.rotateY === "number") ? parms.rotateY : 0;
+  const rotateZ = (parms.rotateZ && typeof parms.rotateZ === "number") ? parms.rotateZ : 0;
+  
+  const scaleTo = (parms.scale && typeof parms.scale === "number") ? parms.scale : null;
+  const scaleToX = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleX : 1;
+  const scaleToY = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleY : 1;
+  const scaleToZ = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleZ : 1;
+
+  const scale = {
+    x: parms.scale ? scaleTo : scaleToX,
+    y: parms.scale ? scaleTo : scaleToY,
+    z: parms.scale ? scaleTo : scaleToZ,
+    duration: moveDur
+  };
+
+  // a new move takes over from the one still running
+  if (this.menuMotion) {
+    this.menuMotion.timeline.kill();
+    this.menuMotion.resolve(false);
+  }
+  const timeline = gsap.timeline();
+  timeline.to(this.itemGroup.position, { x: moveX, y: moveY, z: moveZ, duration: moveDur }, 0);
+  timeline.to(this.itemGroup.rotation, { x: rotateX, y: rotateY, z: rotateZ, duration: moveDur}, 0);
+  timeline.to(this.itemGroup.scale, scale, 0);
+
+  return new Promise((resolve) => {
+    const motion = { timeline: timeline, resolve: resolve };
+    this.menuMotion = motion;
+    timeline.eventCallback("onComplete", () => {
+      if (this.menuMotion === motion) this.menuMotion = null;
+      resolve(true);
+    });
+  });
+}
+
+// Translate the menu's items such as their rotations & scaling based on parameters passed
+Menu.prototype.itemTransition = function(parms = {}) {
+  const moveDur = (parms.duration && typeof parms.duration === "number") ? parms.duration : 0.5;
+
+  const scaleTo = (parms.scale && typeof parms.scale === "number") ? parms.scale : null;
+  const scaleToX = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleX : 1;
+  const scaleToY = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleY : 1;
+  const scaleToZ = (parms.scaleX && typeof parms.scaleX === "number") ? parms.scaleZ : 1;
+
+  const iRotateX = (parms.rotateX && typeof parms.rotateX === "number") ? parms.rotateX : 0;
+  const iRotateY = (parms.rotateY && typeof parms.rotateY === "number") ? parms.rotateY : 0;
+  const iRotateZ = (parms.rotateZ && typeof parms.rotateZ === "number") ? parms.rotateZ : 0;
+
+  const scale = {
+    x: parms.scale ? scaleTo : scaleToX,
+    y: parms.scale ? scaleTo : scaleToY,
+    z: parms.scale ? scaleTo : scaleToZ,
+    duration: moveDur
+  };
+
+  const items = this.getVisibleNodes().map((node) => node.node.item);
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    gsap.to(item.rotation, {x: iRotateX, duration: moveDur });
+    gsap.to(item.rotation, {y: iRotateY, duration: moveDur });
+    gsap.to(item.rotation, {z: iRotateZ, duration: moveDur });
+    gsap.to(item.scale, scale);
+  }
+}
+
+Menu.prototype.resetMenu = function () {
+  this.moveMenu({});
+  this.itemTransition({});
+}
+
+// Fire a raycaster to detect which item is clicked
+Menu.prototype.clickItem = function(evt) {
+  if (!this.opened || !this.enabled || !evt) return;
+
+  const target = this.pickNode(evt);
+  if (target) {
+    if (this.focusOnClick) this.focus();
+    if (target.disabled) {
+      this.model.activate(target);
+    }
+    else if (this.nodeToSelect === target) {
+      this.selectItem();
+    }
+    else {
+      this.jumpTo(target.index);
+    }
+  }
+}
+
+// Report the item under the pointer whenever it changes
+Menu.prototype.hoverItem = function(evt) {
+  const target = (evt && this.opened && this.enabled) ? this.pickNode(evt) : null;
+  if (target === this.hoveredNode) return;
+
+  if (this.hoveredNode) this.hoveredNode.node.animateHover(false);
+  if (target) target.node.animateHover(true);
+  this.hoveredNode = target;
+  this.updateLabels();
+  this.events.emit("hover", {
+    menu: this,
+    index: target ? target.index : null,
+    id: target ? target.id : null
+  });
+}
+
+// Fire a raycaster from the camera of every viewport under the pointer and return the node of the first item hit
+Menu.prototype.pickNode = function(evt) {
+  if (isNaN(evt.clientX) || isNaN(evt.clientY)) return null;
+  const viewports = this.getViewports();
+
+  for (let v = 0; v < viewports.length; v++) {
+    const viewport = viewports[v];
+    const bounds = this.viewportBounds(viewport);
+    if (!viewport.camera || !bounds) continue;
+    if (evt.clientX < bounds.left || evt.clientX > bounds.left + bounds.width) continue;
+    if (evt.clientY < bounds.top || evt.clientY > bounds.top + bounds.height) continue;
+
+    // pointer position relative to the viewport, from -1 to 1
+    this.pt.x = ((evt.clientX - bounds.left) / bounds.width) * 2 - 1;
+    this.pt.y = -((evt.clientY - bounds.top) / bounds.height) * 2 + 1;
+
+    this.rayCaster.setFromCamera(this.pt, viewport.camera);
+    const items = this.itemGroup.children.filter((child) => child !== this.labelGroup);
+    const intersects = this.rayCaster.intersectObjects( items );
+    
+    // items still shrinking out after being removed have no node anymore, or are filtered out
+    for (let i = 0; i < intersects.length; i++) {
+      const node = this.findNode(intersects[i].object.itemTag);
+      if (node && !node.filtered) return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Viewports rendering the menu. Each one is { camera, element, rect } where element is the DOM element it is drawn in
+ * and rect is the part of that element it covers, as { x, y, width, height } fractions measured from the top left.
+ * Without added viewports the menu uses its own camera over the whole domElement, or the whole window
+ */
+Menu.prototype.getViewports = function () {
+  if (this.viewports.length) return this.viewports;
+  return [{ camera: this.camera, element: this.domElement, rect: null }];
+}
+
+/**
+ * Add a camera that renders the menu, for split screens or several canvases
+ * @param {THREE.Camera} camera - Camera of the viewport
+ * @param {HTMLElement} [element] - Element the viewport is drawn in, defaults to the menu's domElement
+ * @param {object} [rect] - Part of the element covered by the viewport, { x, y, width, height } fractions from the top left
+ */
+Menu.prototype.addViewport = function (camera, element = null, rect = null) {
+  if (!camera) return errorMsg("viewports need a camera");
+  this.viewports.push({ camera: camera, element: element, rect: rect });
+  this.refreshEvents();
+}
+
+Menu.prototype.removeViewport = function (camera) {
+  this.viewports = this.viewports.filter((viewport) => viewport.camera !== camera);
+  this.refreshEvents();
+}
+
+// Screen area covered by a viewport, in client pixels
+Menu.prototype.viewportBounds = function (viewport) {
+  const element = viewport.element || this.domElement;
+  let bounds;
+  if (element && typeof element.getBoundingClientRect === "function") bounds = element.getBoundingClientRect();
+  else if (typeof window !== "undefined") bounds = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  else return null;
+
+  const rect = viewport.rect;
+  if (!rect) return { left: bounds.left, top: bounds.top, width: bounds.width, height: bounds.height };
+  return {
+    left: bounds.left + rect.x * bounds.width,
+    top: bounds.top + rect.y * bounds.height,
+    width: rect.width * bounds.width,
+    height: rect.height * bounds.height
+  };
+}
+
+// Elements that receive the pointer events: every viewport element, or the window when there are none
+Menu.prototype.getPointerTargets = function () {
+  const targets = [];
+  this.getViewports().forEach((viewport) => {
+    const element = viewport.element || this.domElement;
+    if (element && !targets.includes(element)) targets.push(element);
+  });
+  return targets.length ? targets : [window];
+}
+
+/**
+ * Event Listeners for menu actions
+ */
+Menu.prototype.registerEvents = function () {
+  // listeners are only added once, reload() can call this as often as it likes
+  if (this.domListeners) return;
+
+  this.domListeners = {
+    // on keydown
+    keydown: (evt) => {
+      if (!this.enabled || !this.isFocused() || handledKeys.has(evt)) return;
+      // keys typed into the page's text fields belong to them
+      if (isTypingTarget(evt.target)) return;
+      if (this.typeKey(evt)) {
+        handledKeys.add(evt);
+        return;
+      }
+      // the browser's own key repeat is ignored, the menu repeats held keys at its own rate
+      if (evt.repeat) return;
+      const action = this.actionForKey(evt);
+      if (!action) return;
+      handledKeys.add(evt);
+      this.performAction(action);
+      if (REPEATING_ACTIONS.includes(action)) this.startKeyRepeat(evt.key, action);
+    },
+
+    keyup: (evt) => {
+      if (this.heldKey && String(evt.key).toLowerCase() === String(this.heldKey.key).toLowerCase()) this.stopKeyRepeat();
+    },
+
+    // keys released while the window is in the background never fire keyup
+    blur: () => {
+      this.stopKeyRepeat();
+    },
+
+    // start dragging from one of the items, or from anywhere while the menu has focus
+    pointerdown: (evt) => {
+      if (!this.dragEnabled || !this.opened || !this.enabled || this.itemTray.length <= 1) return;
+      if (!this.isFocused() && !this.pickNode(evt)) return;
+      // keep receiving the pointer after it leaves the element, so the drag can end
+      if (evt.currentTarget !== window && evt.target && typeof evt.target.setPointerCapture === "function" && evt.pointerId !== undefined) {
+        evt.target.setPointerCapture(evt.pointerId);
+      }
+      this.startDrag(evt);
+    },
+
+    // mouse clicks
+    pointerup: (evt) => {
+      // a drag ends on this pointerup, so it isn't a click
+      if (this.drag) {
+        const wasDragging = this.drag.active;
+        this.endDrag(evt);
+        if (wasDragging) return;
+      }
+      // a click landing within clickGap of the last one replaces it, so quick repeats only count once
+      if (this.clickTimer) clearTimeout(this.clickTimer);
+      const clickGap = 100;
+
+      this.clickTimer = setTimeout(()=> {
+        this.clickTimer = null;
+        this.clickItem(evt)
+      }, clickGap);
+    },
+
+    // pointer movement over the items, raycast at most once every hoverThrottle ms
+    pointermove: (evt) => {
+      if (this.drag) return this.moveDrag(evt);
+      this.pendingHover = evt;
+      if (this.hoverTimer) return;
+      this.hoverItem(evt);
+      this.pendingHover = null;
+      this.hoverTimer = setTimeout(() => {
+        this.hoverTimer = null;
+        if (this.pendingHover) this.domListeners.pointermove(this.pendingHover);
+      }, this.hoverThrottle);
+    },
+
+    // a lost pointer (like a touch turned into a page scroll) drops the drag where it is
+    pointercancel: (evt) => {
+      if (this.drag) this.endDrag(evt);
+    },
+
+    // keep framing the items when the page changes size
+    resize: () => {
+      if (this.fitItems) this.fitCamera();
+    },
+
+    // the pointer left the menu's element, so nothing is hovered anymore
+    pointerleave: () => {
+      if (!this.drag) this.hoverItem(null);
+    },
+
+    // wheel & trackpad scrolling steps through the items one at a time
+    wheel: (evt) => {
+      if (!this.wheelEnabled || !this.opened || !this.enabled) return;
+      if (!this.isFocused() && !this.pickNode(evt)) return;
+      // the page only stops scrolling when the menu listens on its own element
+      if (evt.currentTarget !== window && typeof evt.preventDefault === "function") evt.preventDefault();
+      const delta = Math.abs(evt.deltaY) >= Math.abs(evt.deltaX) ? evt.deltaY : evt.deltaX;
+      const now = Date.now();
+      if (!delta || now - this.lastWheel < this.wheelThrottle) return;
+      this.lastWheel = now;
+      if (delta > 0) this.moveToNext();
+      else this.moveToPrev();
+    }
+  };
+
+  // keys always come from the window and go to the focused menu, pointer events only from the menu's elements
+  this.listenerTargets = [];
+  for (const type in this.domListeners) {
+    const targets = WINDOW_EVENTS.includes(type) ? [window] : this.getPointerTargets();
+    targets.forEach((target) => {
+      const options = (type === "wheel") ? { passive: false } : undefined;
+      target.addEventListener(type, this.domListeners[type], options);
+      this.listenerTargets.push({ target: target, type: type, options: options });
+    });
+  }
+}
+
+Menu.prototype.unregisterEvents = function () {
+  if (!this.domListeners) return;
+  this.listenerTargets.forEach((entry) => {
+    entry.target.removeEventListener(entry.type, this.domListeners[entry.type], entry.options);
+  });
+  this.listenerTargets = [];
+  this.domListeners = null;
+}
+
+// Move the listeners over after the viewports or the domElement change
+Menu.prototype.refreshEvents = function () {
+  if (!this.domListeners) return;
+  this.unregisterEvents();
+  this.registerEvents();
+}
+
+/**
+ * Point the pointer input at another element, like the canvas of the renderer
+ * @param {HTMLElement} element - The element to listen to, or null for the whole window
+ */
+Menu.prototype.setDomElement = function (element) {
+  this.domElement = element || null;
+  this.refreshEvents();
+}
+
+/**
+ * Remove the menu for good: listeners, running tweens, timers and its group in the scene
+ * @param {object} [_properties] - Optional properties, disposeItems: true also frees the geometries and materials of the items
+ */
+Menu.prototype.dispose = function (_properties = null) {
+  if (this.disposed) return;
+  const disposeItems = (_properties && typeof _properties.disposeItems === "boolean") ? _properties.disposeItems : false;
+
+  // take any open submenus down with this menu, and detach it from its parent
+  if (this.activeSubmenu) this.activeSubmenu.dispose(_properties);
+  if (this.parentMenu) this.parentMenu.activeSubmenu = null;
+  this.parentMenu = this.activeSubmenu = null;
+
+  this.unregisterEvents();
+  if (this.gamepad) this.gamepad.stop();
+  this.stopKeyRepeat();
+  this.cancelSelection();
+  this.blur();
+  this.drag = null;
+  clearTimeout(this.clickTimer);
+  clearTimeout(this.hoverTimer);
+  this.clickTimer = this.hoverTimer = null;
+
+  // stop everything still animating, removed meshes go back to whoever removed them
+  this.removals.forEach((release) => release());
+  this.stopTransition();
+  if (this.menuMotion) {
+    this.menuMotion.timeline.kill();
+    this.menuMotion.resolve(false);
+    this.menuMotion = null;
+  }
+  gsap.killTweensOf(this.scroll);
+  this.settleScroll(false);
+  gsap.killTweensOf([this.itemGroup.position, this.itemGroup.rotation, this.itemGroup.scale]);
+  this.itemGroup.traverse((obj) => {
+    gsap.killTweensOf([obj.position, obj.rotation, obj.scale]);
+    forEachMaterial(obj, (material) => gsap.killTweensOf(material));
+  });
+  const nodes = this.model.allItems;
+  nodes.forEach((node) => gsap.killTweensOf(node));
+
+  // labels belong to the menu, so they always go. Items get their own materials back from any dimmed copy
+  nodes.forEach((node) => {
+    node.node.restore();
+    if (node.label) node.label.dispose();
+    node.label = null;
+  });
+  if (this.infoPanel) this.infoPanel.dispose();
+  this.infoPanel = null;
+  if (this.scrollIndicators) this.scrollIndicators.dispose();
+  this.scrollIndicators = null;
+  this.itemGroup.remove(this.labelGroup);
+
+  // free the items, or hand them back untouched so they can be reused. That includes culled, filtered and pooled meshes
+  const meshes = new Set(this.itemGroup.children);
+  nodes.forEach((node) => {
+    if (!node.placeholder) meshes.add(node.node.item);
+  });
+  this.meshPool.forEach((mesh) => meshes.add(mesh));
+  meshes.forEach((mesh) => {
+    this.itemGroup.remove(mesh);
+    if (disposeItems) disposeObject(mesh);
+  });
+  this.meshPool = [];
+  this.visibleNodes = new Set();
+  if (this.itemGroup.parent) this.itemGroup.parent.remove(this.itemGroup);
+
+  // the menu is going away, so the model empties without reporting it
+  this.model.events.clear();
+  this.model.clear();
+  this.hoveredNode = null;
+  this.opened = this.enabled = false;
+  this.disposed = true;
+  this.events.emit("dispose", { menu: this });
+  this.events.clear();
+}
+
+/**
+ * Run a menu action, the same ones used by the key bindings
+ * @param {string} action - One of "prev", "next", "up", "down", "select", "back", "first", "last", "page-up" or "page-down"
+ */
+Menu.prototype.performAction = function (action) {
+  switch (action) {
+    case "prev":
+      this.moveToPrev();
+      break;
+    case "next":
+      this.moveToNext();
+      break;
+    case "up":
+      this.moveUp();
+      break;
+    case "down":
+      this.moveDown();
+      break;
+    case "select":
+      this.selectItem();
+      break;
+    case "back":
+      this.back();
+      break;
+    case "first":
+      this.moveBy(-this.itemSelected);
+      break;
+    case "last":
+      this.moveBy(this.itemTray.length - 1 - this.itemSelected);
+      break;
+    case "page-up":
+      this.moveBy(-this.pageSize);
+      break;
+    case "page-down":
+      this.moveBy(this.pageSize);
+      break;
+    default:
+      return false;
+  }
+  return true;
+}
+
+/**
+ * Type-ahead: printable keys bound to no action build the query of "filter" menus or jump through "jump" menus.
+ * Backspace and Escape edit the query while there is one, before Escape goes back
+ * @param {KeyboardEvent} evt - The keyboard event
+ * @returns {boolean} whether the key was used
+ */
+Menu.prototype.typeKey = function (evt) {
+  if (this.typeAhead === "none" || evt.ctrlKey || evt.metaKey || evt.altKey) return false;
+  const key = String(evt.key);
+  if (this.typeAhead === "filter" && this.filterQuery && (key === "Escape" || key === "Backspace")) {
+    this.filter(key === "Escape" ? "" : this.filterQuery.slice(0, -1));
+    return true;
+  }
+  if (key.length !== 1 || this.actionForKey(evt)) return false;
+
+  if (this.typeAhead === "filter") {
+    // a space only counts between words
+    if (key === " " && !this.filterQuery) return false;
+    this.filter(this.filterQuery + key);
+    return true;
+  }
+  if (this.typeAhead === "jump") {
+    const now = Date.now();
+    if (now - this.lastTyped > this.typeAheadTimeout) this.typedText = "";
+    if (key === " " && !this.typedText) return false;
+    this.lastTyped = now;
+    this.typedText += key.toLowerCase();
+    // like a native <select>, text nothing starts with starts over from the key just typed
+    if (!this.findTextMatch(this.typedText)) this.typedText = key.toLowerCase();
+    this.jumpToText(this.typedText);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Jump to the next item whose label starts with some text, like typing in a native <select>.
+ * The same letter typed over and over cycles through the items starting with it
+ * @param {string} text - Start of the label
+ * @returns {Promise<boolean>} resolves once the menu settles on the item, false when no label starts with the text
+ */
+Menu.prototype.jumpToText = function (text) {
+  const node = this.findTextMatch(text);
+  return node ? this.jumpTo(node.index) : Promise.resolve(false);
+}
+
+// The item jumpToText goes to, null when no label starts with the text
+Menu.prototype.findTextMatch = function (text) {
+  const total = this.itemTray.length;
+  const lower = String(text).toLowerCase();
+  if (!total || !lower) return null;
+
+  // a single letter moves on from the selection, longer text can stay on it
+  const repeated = lower.split("").every((char) => char === lower[0]);
+  const prefix = repeated ? lower[0] : lower;
+  const start = this.itemSelected + (repeated ? 1 : 0);
+  const match = getMatcher("prefix");
+  for (let i = 0; i < total; i++) {
+    const node = this.itemTray[(start + i) % total];
+    if (node.disabled && this.skipDisabled) continue;
+    if (node.node.label && match(prefix, node.node.label) > 0) return node;
+  }
+  return null;
+}
+
+// The action bound to a keyboard event, or null when the key isn't bound
+Menu.prototype.actionForKey = function (evt) {
+  for (const action in this.bindings) {
+    if (this.bindings[action].some((binding) => matchBinding(binding, evt))) return action;
+  }
+  return null;
+}
+
+/**
+ * Replace every key bound to an action. Works at runtime, no need to rebuild the menu
+ * @param {string} action - Name of the action, see MenuBindings
+ * @param {string | Array} keys - One key or a list of keys like "ArrowLeft", "a" or "Shift+Tab"
+ */
+Menu.prototype.bind = function (action, keys) {
+  if (!ACTIONS.includes(action)) return errorMsg("unknown action " + action);
+  this.bindings[action] = [].concat(keys).filter((key) => typeof key === "string");
+}
+
+/**
+ * Add one more key to an action
+ * @param {string} action - Name of the action, see MenuBindings
+ * @param {string} key - Key like "ArrowLeft", "a" or "Shift+Tab"
+ */
+Menu.prototype.addBinding = function (action, key) {
+  if (!ACTIONS.includes(action)) return errorMsg("unknown action " + action);
+  if (!this.bindings[action].includes(key)) this.bindings[action].push(key);
+}
+
+/**
+ * Remove a key from an action, or every key of the action when no key is given
+ * @param {string} action - Name of the action, see MenuBindings
+ * @param {string} [key] - The key to remove
+ */
+Menu.prototype.unbind = function (action, key) {
+  if (!this.bindings[action]) return;
+  this.bindings[action] = key ? this.bindings[action].filter((binding) => binding !== key) : [];
+}
+
+// Repeat an action while its key is held, waiting keyRepeatDelay first and then every keyRepeatRate
+Menu.prototype.startKeyRepeat = function (key, action) {
+  this.stopKeyRepeat();
+  this.heldKey = { key: key, action: action };
+  const repeat = () => {
+    if (!this.heldKey || !this.enabled || !this.isFocused()) return this.stopKeyRepeat();
+    this.performAction(action);
+    this.heldKey.timer = setTimeout(repeat, this.keyRepeatRate);
+  };
+  this.heldKey.timer = setTimeout(repeat, this.keyRepeatDelay);
+}
+
+Menu.prototype.stopKeyRepeat = function () {
+  if (this.heldKey) clearTimeout(this.heldKey.timer);
+  this.heldKey = null;
+}
+
+/**
+ * Dragging & swiping. The scroll position follows the pointer, then the menu carries on with the release speed
+ * and snaps to the nearest item
+ */
+Menu.prototype.startDrag = function (evt) {
+  this.drag = {
+    active: false,
+    startX: evt.clientX,
+    startY: evt.clientY,
+    startScroll: this.scroll.position,
+    samples: [{ time: Date.now(), position: this.scroll.position }]
+  };
+}
+
+Menu.prototype.moveDrag = function (evt) {
+  const drag = this.drag;
+  const axis = (this.dragAxis !== "auto") ? this.dragAxis : (this.layout === this.LAYOUT_VERTICAL ? "y" : "x");
+  const distance = (axis === "y") ? evt.clientY - drag.startY : evt.clientX - drag.startX;
+
+  // small movements still count as clicks
+  if (!drag.active) {
+    if (Math.abs(distance) < this.dragThreshold) return;
+    drag.active = true;
+    gsap.killTweensOf(this.scroll);
+    if (this.focusOnClick) this.focus();
+  }
+
+  // dragging left (or up) brings the next items in
+  let position = drag.startScroll + ((axis === "y") ? distance : -distance) / this.dragDistance;
+  if (!this.revolvingMenu) position = this.rubberBand(position);
+  this.scroll.position = this.scroll.target = position;
+  this.layoutNodes();
+
+  // keep the last few samples to measure the release speed
+  drag.samples.push({ time: Date.now(), position: position });
+  if (drag.samples.length > 5) drag.samples.shift();
+}
+
+Menu.prototype.endDrag = function () {
+  const drag = this.drag;
+  this.drag = null;
+  if (!drag || !drag.active) return;
+
+  const first = drag.samples[0], last = drag.samples[drag.samples.length - 1];
+  const elapsed = (last.time - first.time) / 1000;
+  const velocity = elapsed > 0 ? (last.position - first.position) / elapsed : 0;
+
+  // carry on with the release speed, then snap to the nearest item
+  const target = Math.round(this.scroll.position + velocity * this.dragMomentum);
+  const total = this.itemTray.length;
+  const bounded = this.revolvingMenu ? target : Math.min(Math.max(target, 0), total - 1);
+
+  // the model resolves it like a move of the same length, skipping disabled items the way the drag went.
+  // When nothing is left that way (past the last item of a bounded menu), it settles a little closer instead
+  const from = bounded + this.wrapOffset(this.itemSelected - bounded);
+  const steps = bounded - from;
+  let move = null;
+  for (let length = steps; length !== 0 && !move; length -= Math.sign(steps)) move = this.model.resolveMove(length);
+  const rest = move ? from + move.delta : from;
+  if (move) this.model.select(move.index);
+
+  const duration = Math.min(Math.max(Math.abs(rest - this.scroll.position) * 0.15, 0.2), 1);
+  this.scrollTo(rest, duration, "power3.out");
+
+  // thrown past an end of a bounded menu, the snap back is its bounce
+  if (bounded !== target) {
+    this.events.emit("edge", { menu: this, direction: Math.sign(target - bounded), index: this.itemSelected, id: this.nodeToSelect.id });
+  }
+}
+
+// Past the ends of a bounded menu the drag slows down, never getting further than bounceDistance
+Menu.prototype.rubberBand = function (position) {
+  const last = this.itemTray.length - 1;
+  const over = (position < 0) ? position : Math.max(position - last, 0);
+  if (!over || !this.bounceDistance) return Math.min(Math.max(position, 0), last);
+  const stretch = this.bounceDistance * (1 - 1 / (1 + Math.abs(over) / this.bounceDistance));
+  return (over < 0) ? -stretch : last + stretch;
+}
+
+/**
+ * Keyboard focus between multiple menus. Only one menu can hold focus at a time
+ */
+Menu.prototype.focus = function () {
+  focusedMenu = this;
+}
+
+Menu.prototype.blur = function () {
+  if (focusedMenu === this) focusedMenu = null;
+}
+
+Menu.prototype.isFocused = function () {
+  return focusedMenu === this;
+}
+
+/**
+ * Menu events. Available events and the data their listeners receive:
+ *  "change" - { menu, previous, index, id } the selection moved to another item
+ *  "select" - { menu, index, id } the selected item was picked, its action runs once its animation ends
+ *  "hover" - { menu, index, id } the pointer moved onto an item, index and id are null when it leaves every item
+ *  "open-start", "open-end", "close-start", "close-end" - { menu } around the opening and closing transitions
+ *  "item-added", "item-removed" - { menu, id, index, mesh }
+ *  "item-enabled" - { menu, id, index, enabled } an item was enabled or disabled through setItemEnabled
+ *  "denied" - { menu, index, id, mesh } a disabled item was selected or clicked
+ *  "edge" - { menu, direction, index, id } a bounded menu was moved or thrown past its first (direction -1) or last (1) item
+ *  "filter" - { menu, query, count } the items were filtered, count is how many match the query
+ *  "dispose" - { menu } the menu was disposed, every listener is removed right after
+ * @param {string} type - Name of the event
+ * @param {function} listener - Function called with the event data
+ */
+Menu.prototype.on = function (type, listener) {
+  this.events.on(type, listener);
+  return this;
+}
+
+Menu.prototype.off = function (type, listener) {
+  this.events.off(type, listener);
+  return this;
+}
+
+Menu.prototype.once = function (type, listener) {
+  this.events.once(type, listener);
+  return this;
+}
+
+/**
+ * Build a menu from a JSON config, see MenuConfig for its format
+ * @param {THREE.Scene} scene - Scene the menu is added to
+ * @param {THREE.Camera} camera - Camera looking at the menu
+ * @param {object} config - The menu config
+ * @param {object} [_options] - { loader: function(path) for "model" items, actions: { id: function } }
+ * @returns {Promise<Menu>} resolves once every model is loaded and every item added
+ */
+Menu.fromConfig = function (scene, camera, config, _options = null) {
+  return buildMenu(Menu, scene, camera, config, _options);
+}
+
+/**
+ * Register an action that menu configs can run through the "action" key of their items
+ * @param {string} id - Id used in the configs
+ * @param {function} action - Function run when the item is selected
+ */
+Menu.registerAction = function (id, action) {
+  return registerAction(id, action);
+}
+
+// Export the options, selection and items of the menu as a config Menu.fromConfig can rebuild it from
+Menu.prototype.toJSON = function () {
+  return menuToJSON(this);
+}
+
+/**
+ * Linked List Class for adding items into menu nodes
+ * The model keeps id, index, prev, next, selected, disabled and filtered up to date, the rest belongs to the view
+ */
+
+function MenuNode(_node, _action, _id) {
+  this.id = _id;
+  this.index = 0;
+  this.slot = null; // displayed index, follows index when items are reordered
+  this.node = _node;
+  this.selected = false;
+  this.disabled = !!_node.disabled; // the model skips and refuses disabled nodes, the MenuItem only shows it
+  this.filtered = false; // left out by the filter, out of the scene and with an index of -1
+  this.action = _action;
+  this.next = null;
+  this.prev = null;
+  this.label = null; // MenuLabel drawn under the item
+  this.denying = false; // shaking after a disabled item was selected
+  this.config = null; // the config item it was built from by Menu.fromConfig
+  this.itemProperties = null; // properties passed to add(), virtualized menus build labels from them
+  this.placeholder = null; // stands in for the mesh of virtualized items built by the meshFactory
+  this.properties = {};
+}
+
+// call fn with every material of a mesh, whether it has one or an array of them
+function forEachMaterial(obj, fn) {
+  if (!obj.material) return;
+  if (Array.isArray(obj.material)) obj.material.forEach(fn);
+  else fn(obj.material);
+}
+
+// recurse through each group, mesh object and child in case the object passed is a group
+function assignTags(obj, id) {
+  if (obj) obj.itemTag = id;
+  if (Object.hasOwn(obj, "children") && obj.children.length > 0) {
+    for (let i = 0; i < obj.children.length; i++ ) {
+      assignTags(obj.children[i], id);
+    }
+  }
+}
+
+// bounding box of an object at its full scale, without its position, from the geometry of every child
+function measureObject(obj, scale) {
+  const box = new THREE.Box3();
+  const rest = new THREE.Matrix4().compose(new THREE.Vector3(), obj.quaternion, new THREE.Vector3(scale.x, scale.y, scale.z));
+  const expand = (child, matrix) => {
+    if (child.geometry) {
+      if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+      box.union(child.geometry.boundingBox.clone().applyMatrix4(matrix));
+    }
+    child.children.forEach((grandchild) => {
+      grandchild.updateMatrix();
+      expand(grandchild, matrix.clone().multiply(grandchild.matrix));
+    });
+  };
+  expand(obj, rest);
+  return box;
+}
+
+// distance along the packed items from the first slot to any slot, fractional or past the last one
+function packedDistance(spacing, slot) {
+  const total = spacing.steps.length;
+  const lap = Math.floor(slot / total);
+  const rest = slot - lap * total;
+  const i = Math.min(Math.floor(rest), total - 1);
+  return lap * spacing.lap + spacing.stops[i] + (rest - i) * spacing.steps[i];
+}
+
+// free the GPU resources of an object and all of its children
+function disposeObject(obj) {
+  obj.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    forEachMaterial(child, (material) => material.dispose());
+  });
+}
+
+function errorMsg(str) {
+  return "menu error: " + str;
 }
\ No newline at end of file
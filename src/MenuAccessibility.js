@@ -0,0 +1,161 @@
+import { isTypingTarget } from './MenuBindings.js';
+
+// every mirror gets its own element ids
+let nextMirrorID = 0;
+
+/**
+ * Hidden DOM copy of a Menu for screen readers and other assistive technology.
+ * The menu becomes a listbox with one option per item, named after the item labels. Selection changes are
+ * announced through a live region, focusing the listbox gives the menu keyboard focus and clicking an option
+ * (which is how screen readers activate them) moves to it or selects it
+ * @param {Menu} menu - The menu to mirror
+ * @param {Object} [_properties] - Optional properties, the same object passed to the Menu
+ */
+export function MenuAccessibility(menu, _properties = null) {
+  this.menu = menu;
+  this.label = (_properties && typeof _properties.accessibleLabel === "string") ? _properties.accessibleLabel : null;
+  this.parent = (_properties && _properties.accessibleParent) ? _properties.accessibleParent : null;
+  this.prefix = "three-menu-" + (nextMirrorID++);
+  this.announceTimer = null;
+
+  this.listbox = document.createElement("div");
+  this.listbox.id = this.prefix;
+  this.listbox.setAttribute("role", "listbox");
+  this.listbox.setAttribute("tabindex", "0");
+  hideVisually(this.listbox);
+
+  this.liveRegion = document.createElement("div");
+  this.liveRegion.setAttribute("role", "status");
+  this.liveRegion.setAttribute("aria-live", "polite");
+  this.liveRegion.setAttribute("aria-atomic", "true");
+  hideVisually(this.liveRegion);
+
+  this.domListeners = {
+    focus: () => this.menu.focus(),
+    // the menu's own key handler does the moving, this only keeps the page from scrolling under it
+    keydown: (evt) => {
+      if (isTypingTarget(evt.target)) return;
+      if (this.menu.actionForKey(evt)) evt.preventDefault();
+    },
+    click: (evt) => {
+      const option = evt.target && evt.target.closest ? evt.target.closest("[role='option']") : null;
+      if (option) this.activate(Number(option.dataset.id));
+    }
+  };
+  for (const type in this.domListeners) this.listbox.addEventListener(type, this.domListeners[type]);
+
+  this.menuListeners = {
+    "change": () => {
+      this.sync();
+      this.announceSelection();
+    },
+    "item-added": () => this.refresh(),
+    "item-removed": () => this.refresh(),
+    "item-enabled": () => this.refresh(),
+    "filter": (evt) => {
+      this.refresh();
+      if (evt.count) this.announceSelection();
+      else this.announce("No matches for " + evt.query);
+    },
+    "open-start": () => this.sync(true),
+    "close-start": () => this.sync(false),
+    "denied": (evt) => this.announce(this.optionText(this.menu.findNode(evt.id)) + ", unavailable"),
+    "dispose": () => this.dispose()
+  };
+  for (const type in this.menuListeners) this.menu.on(type, this.menuListeners[type]);
+
+  this.attach();
+  this.refresh();
+}
+
+// Put the mirror next to the renderer's canvas, or in the page body
+MenuAccessibility.prototype.attach = function () {
+  const domElement = this.menu.domElement;
+  const parent = this.parent || (domElement && domElement.parentElement) || document.body;
+  parent.appendChild(this.listbox);
+  parent.appendChild(this.liveRegion);
+}
+
+// Rebuild every option after items were added, removed or changed
+MenuAccessibility.prototype.refresh = function () {
+  while (this.listbox.firstChild) this.listbox.removeChild(this.listbox.firstChild);
+  const total = this.menu.itemTray.length;
+  this.menu.itemTray.forEach((node, i) => {
+    const option = document.createElement("div");
+    option.id = this.prefix + "-" + node.id;
+    option.dataset.id = node.id;
+    option.setAttribute("role", "option");
+    option.setAttribute("aria-posinset", i + 1);
+    option.setAttribute("aria-setsize", total);
+    option.textContent = this.optionText(node);
+    this.listbox.appendChild(option);
+  });
+  this.sync();
+}
+
+// Follow the selection, the disabled items and whether the menu is open, or about to be
+MenuAccessibility.prototype.sync = function (opened = this.menu.opened) {
+  const menu = this.menu;
+  const name = this.label || menu.title;
+  if (name) this.listbox.setAttribute("aria-label", name);
+  if (opened) this.listbox.removeAttribute("hidden");
+  else this.listbox.setAttribute("hidden", "");
+
+  menu.itemTray.forEach((node) => {
+    const option = this.listbox.querySelector("#" + this.prefix + "-" + node.id);
+    if (!option) return;
+    option.setAttribute("aria-selected", node === menu.nodeToSelect ? "true" : "false");
+    if (node.disabled) option.setAttribute("aria-disabled", "true");
+    else option.removeAttribute("aria-disabled");
+  });
+  if (menu.nodeToSelect) this.listbox.setAttribute("aria-activedescendant", this.prefix + "-" + menu.nodeToSelect.id);
+  else this.listbox.removeAttribute("aria-activedescendant");
+}
+
+// Read the label of an item, falling back to its position
+MenuAccessibility.prototype.optionText = function (node) {
+  if (!node) return "";
+  const item = node.node;
+  const text = item.label ? item.label : "Item " + (node.index + 1);
+  return item.subtitle ? text + ", " + item.subtitle : text;
+}
+
+MenuAccessibility.prototype.announceSelection = function () {
+  const node = this.menu.nodeToSelect;
+  if (!node) return;
+  let message = this.optionText(node) + ", " + (node.index + 1) + " of " + this.menu.itemTray.length;
+  if (node.disabled) message += ", unavailable";
+  this.announce(message);
+}
+
+// Empty the live region first so the same message is read again when repeated
+MenuAccessibility.prototype.announce = function (message) {
+  this.liveRegion.textContent = "";
+  clearTimeout(this.announceTimer);
+  this.announceTimer = setTimeout(() => { this.liveRegion.textContent = message; }, 50);
+}
+
+// Clicking an option moves the menu to it, clicking the selected one selects it
+MenuAccessibility.prototype.activate = function (id) {
+  const node = this.menu.findNode(id);
+  if (!node) return;
+  this.menu.focus();
+  if (node === this.menu.nodeToSelect) this.menu.selectItem();
+  else this.menu.jumpTo(node.index);
+}
+
+MenuAccessibility.prototype.dispose = function () {
+  clearTimeout(this.announceTimer);
+  for (const type in this.domListeners) this.listbox.removeEventListener(type, this.domListeners[type]);
+  for (const type in this.menuListeners) this.menu.off(type, this.menuListeners[type]);
+  if (this.listbox.parentNode) this.listbox.parentNode.removeChild(this.listbox);
+  if (this.liveRegion.parentNode) this.liveRegion.parentNode.removeChild(this.liveRegion);
+}
+
+// keep an element readable by screen readers without showing it
+function hideVisually(element) {
+  Object.assign(element.style, {
+    position: "absolute", width: "1px", height: "1px", margin: "-1px", padding: "0",
+    overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap", border: "0"
+  });
+}
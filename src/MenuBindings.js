@@ -0,0 +1,70 @@
+/**
+ * Input bindings for the Menu. Every action can be bound to several keys, written like "ArrowLeft", "a" or "Ctrl+Shift+Tab"
+ * Keys are compared against both KeyboardEvent.key and KeyboardEvent.code, so "KeyW" and "w" both work
+ */
+export const ACTIONS = ["prev", "next", "up", "down", "select", "back", "first", "last", "page-up", "page-down"];
+
+// actions that keep repeating while their key is held down
+export const REPEATING_ACTIONS = ["prev", "next", "up", "down", "page-up", "page-down"];
+
+export const DEFAULT_BINDINGS = {
+  "prev": ["ArrowLeft"],
+  "next": ["ArrowRight"],
+  "up": ["ArrowUp"],
+  "down": ["ArrowDown"],
+  "select": ["Enter"],
+  "back": ["Escape"],
+  "first": ["Home"],
+  "last": ["End"],
+  "page-up": ["PageUp"],
+  "page-down": ["PageDown"]
+};
+
+/**
+ * Split a binding like "Ctrl+Shift+ArrowUp" into its key and modifiers
+ * @param {string} binding - Key name, optionally prefixed by modifiers joined with "+"
+ */
+export function parseBinding(binding) {
+  const parts = binding.split("+");
+  // a binding ending in "+" is bound to the plus key itself
+  const key = (parts[parts.length - 1] === "" && parts.length > 1) ? "+" : parts[parts.length - 1];
+  const modifiers = parts.slice(0, -1).map((part) => part.toLowerCase());
+  return {
+    key: key,
+    ctrl: modifiers.includes("ctrl") || modifiers.includes("control"),
+    shift: modifiers.includes("shift"),
+    alt: modifiers.includes("alt") || modifiers.includes("option"),
+    meta: modifiers.includes("meta") || modifiers.includes("cmd")
+  };
+}
+
+/**
+ * Check whether a keyboard event matches a binding
+ * @param {string} binding - Key name, optionally prefixed by modifiers joined with "+"
+ * @param {KeyboardEvent} evt - The keyboard event
+ */
+export function matchBinding(binding, evt) {
+  const parsed = parseBinding(binding);
+  const key = parsed.key.toLowerCase();
+  if (key !== String(evt.key).toLowerCase() && parsed.key !== evt.code) return false;
+  if (parsed.ctrl !== !!evt.ctrlKey || parsed.alt !== !!evt.altKey || parsed.meta !== !!evt.metaKey) return false;
+  // shift already changes printable characters, so it only has to match for named keys like "Tab"
+  return (parsed.key.length === 1 && !parsed.shift) || parsed.shift === !!evt.shiftKey;
+}
+
+// input types that don't take typed text, so their keys can still drive a menu
+const NON_TEXT_INPUTS = ["button", "checkbox", "radio", "range", "submit", "reset", "file", "color", "image"];
+
+/**
+ * Check whether a keyboard event comes from an element the user types into, like an <input>, a <textarea>
+ * or a contenteditable element. Menus leave those keys to the page
+ * @param {EventTarget} target - The target of the keyboard event
+ */
+export function isTypingTarget(target) {
+  if (!target || typeof target !== "object") return false;
+  if (target.isContentEditable) return true;
+  const tag = String(target.tagName || "").toLowerCase();
+  if (tag === "textarea" || tag === "select") return true;
+  if (tag !== "input") return false;
+  return !NON_TEXT_INPUTS.includes(String(target.type || "text").toLowerCase());
+}
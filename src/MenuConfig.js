@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+/**
+ * Build menus from plain JSON configs and export them back.
+ * A config looks like:
+ *   {
+ *     options: { layout: "ring", openBehavior: 1, ... },   // any Menu property that fits in JSON
+ *     selected: 0,                                         // index of the selected item
+ *     items: [
+ *       { geometry: "box", color: "#ff0000", label: "Play", action: "start-game" },
+ *       { geometry: { type: "torus", args: [0.3, 0.1, 16, 32] }, material: { type: "phong", shininess: 80 } },
+ *       { model: "models/gear.glb", scale: 0.5, label: "Options", submenu: { items: [...] } },
+ *       { geometry: "sphere", label: "Back", back: true, rotateY: true }
+ *     ]
+ *   }
+ * Item keys other than the ones building the mesh and its action are passed to add() as the item's properties
+ */
+const actions = {};
+
+// item keys used to build the mesh and the action, everything else goes to the item's properties
+const BUILD_KEYS = ["geometry", "material", "color", "model", "scale", "rotation", "action", "submenu", "back"];
+
+const GEOMETRIES = {
+  box: THREE.BoxGeometry,
+  sphere: THREE.SphereGeometry,
+  cylinder: THREE.CylinderGeometry,
+  cone: THREE.ConeGeometry,
+  capsule: THREE.CapsuleGeometry,
+  torus: THREE.TorusGeometry,
+  torusKnot: THREE.TorusKnotGeometry,
+  plane: THREE.PlaneGeometry,
+  circle: THREE.CircleGeometry,
+  ring: THREE.RingGeometry,
+  tetrahedron: THREE.TetrahedronGeometry,
+  octahedron: THREE.OctahedronGeometry,
+  dodecahedron: THREE.DodecahedronGeometry,
+  icosahedron: THREE.IcosahedronGeometry
+};
+
+const MATERIALS = {
+  basic: THREE.MeshBasicMaterial,
+  standard: THREE.MeshStandardMaterial,
+  physical: THREE.MeshPhysicalMaterial,
+  phong: THREE.MeshPhongMaterial,
+  lambert: THREE.MeshLambertMaterial,
+  toon: THREE.MeshToonMaterial,
+  normal: THREE.MeshNormalMaterial
+};
+
+// menu properties that fit in JSON and are stored on the menu under the same name
+const OPTION_KEYS = [
+  "resizeScale", "resizeSpeed", "closeTime", "openTime", "shuffleSpeed", "revolvingMenu",
+  "openBehavior", "closeBehavior", "transitionEase", "transitionStagger", "slideFrom", "slideDistance",
+  "bounceDistance", "bounceTime",
+  "positionCamera", "cameraDistance", "fitItems", "fitMargin", "spacing", "itemMargin", "virtualize", "windowSize",
+  "layout", "ringRadius", "ringArc", "rowGap", "gridColumns", "arcRadius", "arcSpread", "helixTurn", "helixRise", "faceCamera",
+  "pageSize", "keyRepeatDelay", "keyRepeatRate", "typeAhead", "typeAheadTimeout", "filterTime", "autoFocus", "focusOnClick",
+  "title", "submenuBehavior", "recedeDistance",
+  "hoverBehavior", "hoverScale", "hoverEmissive", "hoverThrottle",
+  "dragEnabled", "dragAxis", "dragDistance", "dragThreshold", "dragMomentum", "wheelEnabled", "wheelThrottle",
+  "gamepadEnabled", "gamepadLoop",
+  "labelVisibility", "labelType", "labelFont", "labelSubtitleFont", "labelColor", "labelBackground", "labelResolution", "labelTime",
+  "skipDisabled", "disabledStyle", "disabledBrightness", "deniedShake", "shineColor", "accessible"
+];
+
+/**
+ * Register an action so configs can refer to it by id
+ * @param {string} id - Id used by the "action" key of config items
+ * @param {function} action - Function run when the item is selected
+ */
+export function registerAction(id, action) {
+  if (typeof id !== "string" || typeof action !== "function") return errorMsg("actions need an id and a function");
+  actions[id] = action;
+  return action;
+}
+
+export function getAction(id) {
+  return Object.hasOwn(actions, id) ? actions[id] : null;
+}
+
+/**
+ * Build a menu and its submenus from a config
+ * @param {function} Menu - The Menu constructor
+ * @param {THREE.Scene} scene - Scene the menu is added to
+ * @param {THREE.Camera} camera - Camera looking at the menu
+ * @param {object} config - The menu config
+ * @param {object} [_options] - { loader: function(path) returning a promise of an Object3D or glTF for "model" items,
+ * actions: { id: function } checked before the registered actions }
+ * @returns {Promise<Menu>} resolves once every model is loaded and every item added
+ */
+export async function buildMenu(Menu, scene, camera, config, _options = null) {
+  if (!config || typeof config !== "object") throw new Error(errorMsg("no config provided"));
+  const items = Array.isArray(config.items) ? config.items : [];
+
+  // load every mesh and submenu at once, then add them in order
+  const meshes = await Promise.all(items.map((item) => createMesh(item, _options)));
+  const submenus = await Promise.all(items.map((item) => item.submenu ? buildMenu(Menu, scene, camera, item.submenu, _options) : null));
+
+  const menu = new Menu(scene, camera, Object.assign({}, config.options));
+  items.forEach((item, i) => {
+    let action = submenus[i];
+    if (item.back) action = () => menu.back();
+    else if (typeof item.action === "string") action = (_options && _options.actions && _options.actions[item.action]) || getAction(item.action);
+
+    const props = {};
+    for (const key in item) {
+      if (!BUILD_KEYS.includes(key)) props[key] = item[key];
+    }
+    const id = menu.add(meshes[i], action, props);
+    menu.findNode(id).config = item;
+  });
+
+  if (typeof config.selected === "number") menu.jumpTo(config.selected, { animate: false });
+  return menu;
+}
+
+/**
+ * Export a menu as a config: its options, its selection and the items it was built from
+ * Items added with add() only export their label, subtitle, description and whether they are enabled
+ * @param {Menu} menu - The menu to export
+ */
+export function menuToJSON(menu) {
+  const options = {};
+  OPTION_KEYS.forEach((key) => {
+    if (menu[key] !== undefined && menu[key] !== null) options[key] = menu[key];
+  });
+  options.gapBetweenItems = Object.assign({}, menu.gapBetweenItems);
+  options.menuOffsetItems = Object.assign({}, menu.menuOffsetItems);
+  options.labelOffset = Object.assign({}, menu.labelOffset);
+  options.bindings = JSON.parse(JSON.stringify(menu.bindings));
+  if (typeof menu.selectBehavior === "string") options.selectBehavior = menu.selectBehavior;
+  if (typeof menu.filterMatch === "string") options.filterMatch = menu.filterMatch;
+  if (menu.gamepad) {
+    const pad = menu.gamepad;
+    Object.assign(options, {
+      gamepadIndex: pad.index, gamepadDeadZone: pad.deadZone, gamepadSelectButton: pad.selectButton, gamepadBackButton: pad.backButton,
+      gamepadRepeatDelay: pad.repeatDelay, gamepadRepeatRate: pad.repeatRate,
+      gamepadRepeatAcceleration: pad.repeatAcceleration, gamepadRepeatMinimum: pad.repeatMinimum
+    });
+  }
+  if (menu.infoPanel) {
+    const panel = menu.infoPanel;
+    Object.assign(options, {
+      infoPanel: true, infoPanelOffset: Object.assign({}, panel.offset), infoPanelTime: panel.time, infoPanelRise: panel.rise,
+      infoPanelTitleFont: panel.label.font, infoPanelFont: panel.label.subtitleFont, infoPanelColor: panel.label.color,
+      infoPanelBackground: panel.label.background, infoPanelWidth: panel.label.wrapWidth
+    });
+  }
+  if (menu.scrollIndicators) {
+    const indicators = menu.scrollIndicators;
+    Object.assign(options, {
+      scrollIndicators: true, indicatorOffset: indicators.offset, indicatorSize: indicators.size,
+      indicatorColor: indicators.color, indicatorTime: indicators.time
+    });
+  }
+
+  // filtered out items are still part of the menu
+  const items = menu.model.allItems.map((node) => {
+    const item = Object.assign({}, node.config);
+    const menuItem = node.node;
+    ["label", "subtitle", "description"].forEach((key) => {
+      if (menuItem[key]) item[key] = menuItem[key];
+      else delete item[key];
+    });
+    if (node.disabled) item.enabled = false;
+    else delete item.enabled;
+    // submenus export their own state
+    if (node.action && typeof node.action.toJSON === "function") item.submenu = node.action.toJSON();
+    return item;
+  });
+
+  const selected = menu.nodeToSelect ? menu.model.allItems.indexOf(menu.nodeToSelect) : 0;
+  return { options: options, selected: selected, items: items };
+}
+
+// The mesh of a config item: a loaded model, or a primitive geometry with its material
+async function createMesh(item, _options) {
+  let mesh;
+  if (typeof item.model === "string") {
+    const loader = _options ? _options.loader : null;
+    if (typeof loader !== "function") throw new Error(errorMsg("a loader is needed for the model " + item.model));
+    const loaded = await loader(item.model);
+    mesh = (loaded && loaded.scene) ? loaded.scene : loaded;
+    if (!mesh || !mesh.isObject3D) throw new Error(errorMsg("the loader returned no object for " + item.model));
+  }
+  else {
+    const geometry = (typeof item.geometry === "object" && item.geometry) ? item.geometry : { type: item.geometry || "box" };
+    const Geometry = Object.hasOwn(GEOMETRIES, geometry.type) ? GEOMETRIES[geometry.type] : null;
+    if (!Geometry) throw new Error(errorMsg("unknown geometry " + geometry.type));
+
+    const params = Object.assign({}, item.material);
+    const type = params.type || "standard";
+    delete params.type;
+    const Material = Object.hasOwn(MATERIALS, type) ? MATERIALS[type] : null;
+    if (!Material) throw new Error(errorMsg("unknown material " + type));
+    if (item.color !== undefined) params.color = item.color;
+
+    mesh = new THREE.Mesh(new Geometry(...(Array.isArray(geometry.args) ? geometry.args : [])), new Material(params));
+  }
+
+  if (typeof item.scale === "number") mesh.scale.setScalar(item.scale);
+  else if (item.scale && typeof item.scale === "object") mesh.scale.set(item.scale.x ?? 1, item.scale.y ?? 1, item.scale.z ?? 1);
+  if (item.rotation && typeof item.rotation === "object") mesh.rotation.set(item.rotation.x || 0, item.rotation.y || 0, item.rotation.z || 0);
+  return mesh;
+}
+
+function errorMsg(str) {
+  return "menuConfig error: " + str;
+}
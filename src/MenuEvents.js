@@ -0,0 +1,54 @@
+/**
+ * Event emitter used by the Menu to report what it is doing
+ * Listeners receive a single object describing the event
+ */
+export function MenuEvents() {
+  this.listeners = {};
+}
+
+/**
+ * Listen to an event
+ * @param {string} type - Name of the event
+ * @param {function} listener - Function called with the event data
+ */
+MenuEvents.prototype.on = function (type, listener) {
+  if (typeof listener !== "function") return;
+  if (!this.listeners[type]) this.listeners[type] = [];
+  this.listeners[type].push(listener);
+}
+
+/**
+ * Stop listening to an event. Removes every listener of the event if none is given
+ * @param {string} type - Name of the event
+ * @param {function} [listener] - The function passed to on() or once()
+ */
+MenuEvents.prototype.off = function (type, listener) {
+  if (!this.listeners[type]) return;
+  if (!listener) delete this.listeners[type];
+  else this.listeners[type] = this.listeners[type].filter((fn) => fn !== listener && fn.listener !== listener);
+}
+
+/**
+ * Listen to an event only the next time it happens
+ * @param {string} type - Name of the event
+ * @param {function} listener - Function called with the event data
+ */
+MenuEvents.prototype.once = function (type, listener) {
+  if (typeof listener !== "function") return;
+  const wrapper = (data) => {
+    this.off(type, wrapper);
+    listener(data);
+  };
+  wrapper.listener = listener;
+  this.on(type, wrapper);
+}
+
+MenuEvents.prototype.emit = function (type, data = {}) {
+  if (!this.listeners[type]) return;
+  // copy the list so listeners can remove themselves while it is running
+  this.listeners[type].slice().forEach((fn) => fn(data));
+}
+
+MenuEvents.prototype.clear = function () {
+  this.listeners = {};
+}
@@ -0,0 +1,142 @@
+import gsap from 'gsap';
+
+// standard gamepad layout: d-pad buttons and the left stick axes
+const DPAD_UP = 12, DPAD_DOWN = 13, DPAD_LEFT = 14, DPAD_RIGHT = 15;
+const STICK_X = 0, STICK_Y = 1;
+
+// the press each button of each pad was last acted on, by its gamepad timestamp. Select and back hand focus to
+// another menu, which must not act on the same press when it is polled later in the same frame
+const claimedPresses = new Map();
+
+/**
+ * Gamepad controller for a Menu, read through the Gamepad API
+ * The d-pad and left stick move the selection, holding a direction repeats the move faster and faster
+ * @param {Menu} menu - The menu driven by the gamepad
+ * @param {Object} [_properties] - Optional properties, the same object passed to the Menu
+ */
+export function MenuGamepad(menu, _properties = null) {
+  this.menu = menu;
+
+  // which gamepad to read, null reads the first one connected
+  this.index = (_properties && typeof _properties.gamepadIndex === "number") ? _properties.gamepadIndex : null;
+  this.deadZone = (_properties && typeof _properties.gamepadDeadZone === "number") ? _properties.gamepadDeadZone : 0.3;
+  this.selectButton = (_properties && typeof _properties.gamepadSelectButton === "number") ? _properties.gamepadSelectButton : 0;
+  this.backButton = (_properties && typeof _properties.gamepadBackButton === "number") ? _properties.gamepadBackButton : 1;
+
+  // hold-to-repeat timing in ms. Every repeat shortens the wait by repeatAcceleration until it reaches repeatMinimum
+  this.repeatDelay = (_properties && typeof _properties.gamepadRepeatDelay === "number") ? _properties.gamepadRepeatDelay : 400;
+  this.repeatRate = (_properties && typeof _properties.gamepadRepeatRate === "number") ? _properties.gamepadRepeatRate : 180;
+  this.repeatAcceleration = (_properties && typeof _properties.gamepadRepeatAcceleration === "number") ? _properties.gamepadRepeatAcceleration : 0.85;
+  this.repeatMinimum = (_properties && typeof _properties.gamepadRepeatMinimum === "number") ? _properties.gamepadRepeatMinimum : 50;
+
+  this.direction = null;
+  this.nextRepeat = 0;
+  this.currentRate = this.repeatRate;
+  this.buttonsDown = {};
+  this.loop = null;
+}
+
+// Poll on every gsap tick instead of waiting for Menu.prototype.animate
+MenuGamepad.prototype.start = function () {
+  if (this.loop) return;
+  this.loop = () => this.poll();
+  gsap.ticker.add(this.loop);
+}
+
+MenuGamepad.prototype.stop = function () {
+  if (this.loop) gsap.ticker.remove(this.loop);
+  this.loop = null;
+  this.direction = null;
+  this.buttonsDown = {};
+}
+
+MenuGamepad.prototype.getPad = function () {
+  if (typeof navigator === "undefined" || typeof navigator.getGamepads !== "function") return null;
+  const pads = navigator.getGamepads() || [];
+  if (this.index !== null) return pads[this.index] || null;
+  for (let i = 0; i < pads.length; i++) {
+    if (pads[i] && pads[i].connected !== false) return pads[i];
+  }
+  return null;
+}
+
+// The direction held on the d-pad, or on the left stick past the dead zone
+MenuGamepad.prototype.readDirection = function (pad) {
+  if (isPressed(pad, DPAD_LEFT)) return "left";
+  if (isPressed(pad, DPAD_RIGHT)) return "right";
+  if (isPressed(pad, DPAD_UP)) return "up";
+  if (isPressed(pad, DPAD_DOWN)) return "down";
+
+  const x = pad.axes[STICK_X] || 0, y = pad.axes[STICK_Y] || 0;
+  if (Math.max(Math.abs(x), Math.abs(y)) < this.deadZone) return null;
+  if (Math.abs(x) >= Math.abs(y)) return x < 0 ? "left" : "right";
+  return y < 0 ? "up" : "down";
+}
+
+/**
+ * Read the gamepad and move the menu. Only the focused menu reacts
+ * @param {number} [now] - Current time in ms
+ */
+MenuGamepad.prototype.poll = function (now = Date.now()) {
+  const pad = this.getPad();
+  const menu = this.menu;
+  if (!pad) {
+    this.direction = null;
+    this.buttonsDown = {};
+    return;
+  }
+
+  // the state is followed even while another menu has focus, so a stick or button still held
+  // when focus arrives here doesn't count as a new press
+  const active = menu.opened && menu.enabled && menu.isFocused();
+
+  // directions move once when pressed, then repeat while held
+  const direction = this.readDirection(pad);
+  if (direction !== this.direction) {
+    this.direction = direction;
+    this.currentRate = this.repeatRate;
+    this.nextRepeat = now + this.repeatDelay;
+    if (direction && active) this.move(direction);
+  }
+  else if (direction && active && now >= this.nextRepeat) {
+    this.move(direction);
+    this.nextRepeat = now + this.currentRate;
+    this.currentRate = Math.max(this.currentRate * this.repeatAcceleration, this.repeatMinimum);
+  }
+
+  // buttons only act on the press, not while held
+  const select = this.buttonPressed(pad, this.selectButton);
+  const back = this.buttonPressed(pad, this.backButton);
+  if (!active) return;
+  if (select && this.claimPress(pad, this.selectButton, now)) menu.performAction("select");
+  if (back && this.claimPress(pad, this.backButton, now)) menu.performAction("back");
+}
+
+// true for the first menu acting on a press, false for any other one polled afterwards
+MenuGamepad.prototype.claimPress = function (pad, button, now) {
+  const id = pad.index + ":" + button;
+  const stamp = (typeof pad.timestamp === "number") ? pad.timestamp : now;
+  if (claimedPresses.get(id) === stamp) return false;
+  claimedPresses.set(id, stamp);
+  return true;
+}
+
+// directions map to the menu actions of the same name as the key bindings
+MenuGamepad.prototype.move = function (direction) {
+  const actions = { left: "prev", right: "next", up: "up", down: "down" };
+  this.menu.performAction(actions[direction]);
+}
+
+// true only on the poll where the button goes down
+MenuGamepad.prototype.buttonPressed = function (pad, button) {
+  const down = isPressed(pad, button);
+  const pressed = down && !this.buttonsDown[button];
+  this.buttonsDown[button] = down;
+  return pressed;
+}
+
+function isPressed(pad, button) {
+  const state = pad.buttons && pad.buttons[button];
+  if (!state) return false;
+  return (typeof state === "object") ? state.pressed : state > 0.5;
+}
@@ -0,0 +1,69 @@
+import gsap from 'gsap';
+import { MenuLabel } from './MenuLabel.js';
+
+/**
+ * Panel showing the label and description of the selected item, swapping its text with a short animation
+ * @param {Menu} menu - The menu it describes
+ * @param {Object} [_properties] - Optional properties, the same object passed to the Menu
+ */
+export function MenuInfoPanel(menu, _properties = null) {
+  this.menu = menu;
+  this.offset = { x: 0, y: -1.5, z: 0 };
+  if (_properties && typeof _properties.infoPanelOffset === "object") Object.assign(this.offset, _properties.infoPanelOffset);
+  this.time = (_properties && typeof _properties.infoPanelTime === "number") ? _properties.infoPanelTime : 0.25;
+  this.rise = (_properties && typeof _properties.infoPanelRise === "number") ? _properties.infoPanelRise : 0.1;
+
+  this.label = new MenuLabel({
+    font: (_properties && typeof _properties.infoPanelTitleFont === "string") ? _properties.infoPanelTitleFont : "bold 36px sans-serif",
+    subtitleFont: (_properties && typeof _properties.infoPanelFont === "string") ? _properties.infoPanelFont : "28px sans-serif",
+    color: (_properties && typeof _properties.infoPanelColor === "string") ? _properties.infoPanelColor : "#ffffff",
+    background: (_properties && typeof _properties.infoPanelBackground === "string") ? _properties.infoPanelBackground : "rgba(0, 0, 0, 0.6)",
+    padding: 20,
+    wrapWidth: (_properties && typeof _properties.infoPanelWidth === "number") ? _properties.infoPanelWidth : 600,
+    resolution: (_properties && typeof _properties.labelResolution === "number") ? _properties.labelResolution : 200,
+    type: (_properties && _properties.labelType === "plane") ? "plane" : "sprite"
+  });
+  this.object = this.label.object;
+  this.object.position.set(this.offset.x, this.offset.y, this.offset.z);
+  this.node = null;
+  this.timeline = null;
+}
+
+/**
+ * Describe a node, or hide the panel when there is none or it has nothing to say
+ * @param {MenuNode} node - The node to describe
+ */
+MenuInfoPanel.prototype.show = function (node) {
+  if (node === this.node) return;
+  this.node = node;
+  const item = node ? node.node : null;
+  const title = item ? item.label : "";
+  const description = item ? item.description : "";
+
+  // drop the old text down and out, then raise the new one in
+  const position = this.object.position;
+  if (this.timeline) this.timeline.kill();
+  this.timeline = null;
+  if (!title && !description) {
+    this.label.show(false, this.time);
+    return;
+  }
+  const wasVisible = this.label.visible;
+  const timeline = this.timeline = gsap.timeline();
+  if (wasVisible) {
+    timeline.to(this.label.material, { opacity: 0, duration: this.time / 2 }, 0);
+    timeline.to(position, { y: this.offset.y - this.rise, duration: this.time / 2 }, 0);
+  }
+  timeline.call(() => {
+    this.label.setText(title, description);
+    this.label.visible = this.object.visible = true;
+  });
+  timeline.fromTo(position, { y: this.offset.y - this.rise }, { y: this.offset.y, duration: this.time / 2, immediateRender: false });
+  timeline.to(this.label.material, { opacity: 1, duration: this.time / 2 }, "<");
+}
+
+MenuInfoPanel.prototype.dispose = function () {
+  if (this.timeline) this.timeline.kill();
+  this.label.dispose();
+  this.node = null;
+}
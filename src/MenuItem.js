@@ -1,4 +1,5 @@
 import * as THREE from 'three'
+import gsap from 'gsap';
 
 export function MenuItem(mesh, _properties = {}) {
   
@@ -8,11 +9,33 @@ export function MenuItem(mesh, _properties = {}) {
   // disable by default unless the menu opens
   this.enabled = false;
   this.selected = false;
+  this.hovered = false;
+  this.baseScale = { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z };
 
   // passed functions
   this.sequenceDefault = (_properties && _properties.animateDefault) ? _properties.animateDefault : null;
   this.sequenceSelected = (_properties && _properties.animateSelect) ? _properties.animateSelect : null;
   this.sequenceClicked = (_properties && _properties.animateClicked) ? _properties.animateClicked : null;
+  this.sequenceHover = (_properties && _properties.animateHover) ? _properties.animateHover : null;
+  this.sequenceDenied = (_properties && _properties.animateDenied) ? _properties.animateDenied : null;
+  this.selectBehavior = (_properties && ["string", "function"].includes(typeof _properties.selectBehavior)) ? _properties.selectBehavior : null; // null uses the menu's
+
+  // disabled items stay visible but dimmed, and can't be selected. Set through "enabled: false" or Menu.setItemEnabled
+  this.disabled = (_properties && _properties.enabled === false);
+  this.dimmedMaterials = new Map(); // original material => the dimmed copy shown while disabled, materials are often shared
+  this.ownMaterials = new Map(); // copy => original material, lent to effects like "shine" that change colors for a moment
+
+  // text shown under the item and in the menu's info panel
+  this.label = (_properties && typeof _properties.label === "string") ? _properties.label : "";
+  this.subtitle = (_properties && typeof _properties.subtitle === "string") ? _properties.subtitle : "";
+  this.description = (_properties && typeof _properties.description === "string") ? _properties.description : "";
+
+  // hover feedback when no animateHover is passed: "scale", "emissive" or "none"
+  this.hoverBehavior = (_properties && typeof _properties.hoverBehavior === "string") ? _properties.hoverBehavior : "scale";
+  this.hoverScale = (_properties && typeof _properties.hoverScale === "number") ? _properties.hoverScale : 0.1;
+  this.hoverEmissive = (_properties && _properties.hoverEmissive !== undefined) ? new THREE.Color(_properties.hoverEmissive) : new THREE.Color(0x333333);
+  this.hoverTime = (_properties && typeof _properties.hoverTime === "number") ? _properties.hoverTime : 0.15;
+  this.emissiveBackup = new Map();
   
   // setup default animation on items based on properties
   this.rotationSpeed = (_properties && _properties.rotationSpeed) ? _properties.rotationSpeed : 0.01;
@@ -48,6 +71,164 @@ MenuItem.prototype.animateSelected = function (elapsedTime = 0) {
   this.selected = true;
 }
 
+// hover feedback, runs once when the pointer enters or leaves the item
+MenuItem.prototype.animateHover = function (hovered = true) {
+  if (this.hovered === hovered) return;
+  this.hovered = hovered;
+  if (typeof this.sequenceHover === "function") return this.sequenceHover(hovered, this);
+
+  switch (this.hoverBehavior) {
+    // grow slightly over the original size
+    case "scale": {
+      const factor = hovered ? 1 + this.hoverScale : 1;
+      gsap.to(this.item.scale, {
+        x: this.baseScale.x * factor, y: this.baseScale.y * factor, z: this.baseScale.z * factor,
+        duration: this.hoverTime
+      });
+      break;
+    }
+    // light up every material that has an emissive color, then restore the original color
+    case "emissive":
+      this.item.traverse((child) => {
+        if (!child.material) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((shown) => {
+          // a shining item fades its own materials, they show again once the copies are released
+          const material = this.ownMaterials.get(shown) || shown;
+          if (!material.emissive) return;
+          if (!this.emissiveBackup.has(material)) this.emissiveBackup.set(material, material.emissive.clone());
+          const color = hovered ? this.hoverEmissive : this.emissiveBackup.get(material);
+          gsap.to(material.emissive, { r: color.r, g: color.g, b: color.b, duration: this.hoverTime });
+        });
+      });
+      break;
+  }
+}
+
+/**
+ * Dim or restore the colors of every material of the item. Disabled items show dimmed copies of their materials
+ * and get the originals back once enabled, so other items sharing the materials keep their colors
+ * @param {boolean} disabled - Whether the item is disabled
+ * @param {string} style - "dim" darkens the colors, "desaturate" turns them grey, "none" leaves them
+ * @param {number} brightness - How much of the original brightness a dimmed color keeps, from 0 to 1
+ */
+MenuItem.prototype.setDisabled = function (disabled, style = "dim", brightness = 0.4) {
+  this.disabled = disabled;
+  const dim = disabled && style !== "none";
+  const swap = (material) => {
+    const original = this.originalMaterial(material);
+    if (!dim || !original.color) return original;
+    if (!this.dimmedMaterials.has(original)) this.dimmedMaterials.set(original, original.clone());
+    const copy = this.dimmedMaterials.get(original);
+    copy.color.copy(original.color);
+    if (style === "desaturate") {
+      const hsl = copy.color.getHSL({});
+      copy.color.setHSL(hsl.h, 0, hsl.l);
+    }
+    else copy.color.multiplyScalar(brightness);
+    return copy;
+  };
+  this.swapMaterials(swap);
+}
+
+/**
+ * Show copies of the materials with a color for effects changing them for a moment, so other items sharing the
+ * materials keep their colors. releaseMaterials or restore puts the originals back
+ * @returns {Map} every copy shown, mapped to the material it replaces
+ */
+MenuItem.prototype.copyMaterials = function () {
+  this.swapMaterials((material) => {
+    if (!material.color || this.ownMaterials.has(material)) return material;
+    const copy = material.clone();
+    this.ownMaterials.set(copy, material);
+    return copy;
+  }, true);
+  return this.ownMaterials;
+}
+
+// put back the materials copyMaterials replaced and free the copies
+MenuItem.prototype.releaseMaterials = function () {
+  if (!this.ownMaterials.size) return;
+  this.swapMaterials((material) => this.ownMaterials.get(material) || material);
+  this.ownMaterials.forEach((original, copy) => copy.dispose());
+  this.ownMaterials.clear();
+}
+
+// the material a copy stands for, or the material itself
+MenuItem.prototype.originalMaterial = function (material) {
+  if (this.ownMaterials.has(material)) material = this.ownMaterials.get(material);
+  for (const [original, copy] of this.dimmedMaterials) {
+    if (copy === material) return original;
+  }
+  return material;
+}
+
+// replace every material of the mesh through swap(material), carrying over the opacity it is fading with
+// keepTweens leaves the replaced materials animating, for materials that come back
+MenuItem.prototype.swapMaterials = function (swap, keepTweens = false) {
+  this.item.traverse((child) => {
+    if (!child.material) return;
+    const replace = (material) => {
+      const next = swap(material);
+      if (next !== material) {
+        if (!keepTweens) gsap.killTweensOf(material);
+        next.transparent = material.transparent;
+        next.opacity = material.opacity;
+      }
+      return next;
+    };
+    child.material = Array.isArray(child.material) ? child.material.map(replace) : replace(child.material);
+  });
+}
+
+// shake sideways to show the item can't be selected. Custom animateDenied functions can return a tween or promise
+MenuItem.prototype.animateDenied = function (distance = 0.08) {
+  if (typeof this.sequenceDenied === "function") return this.sequenceDenied(this);
+  const x = this.item.position.x;
+  return gsap.to(this.item.position, {
+    keyframes: { x: [x, x - distance, x + distance, x - distance, x + distance, x] },
+    duration: 0.35,
+    ease: "none"
+  });
+}
+
+/**
+ * Put the mesh back to how it came: its own materials, emissive colors and size, without any hover
+ */
+MenuItem.prototype.restore = function () {
+  gsap.killTweensOf(this.item.scale);
+  this.emissiveBackup.forEach((color, material) => {
+    gsap.killTweensOf(material.emissive);
+    material.emissive.copy(color);
+  });
+  this.emissiveBackup.clear();
+  this.releaseMaterials();
+  this.swapMaterials((material) => this.originalMaterial(material));
+  this.dimmedMaterials.forEach((copy) => copy.dispose());
+  this.dimmedMaterials.clear();
+  this.item.scale.set(this.baseScale.x, this.baseScale.y, this.baseScale.z);
+  this.hovered = false;
+}
+
+/**
+ * Show the item with another mesh, used by virtualized menus recycling their meshes
+ * @param {THREE.Object3D} mesh - The new mesh
+ * @returns {THREE.Object3D} the previous mesh, restored
+ */
+MenuItem.prototype.setMesh = function (mesh) {
+  const previous = this.item;
+  this.restore();
+  this.item = mesh;
+  this.baseScale = { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z };
+  return previous;
+}
+
+// custom clicked animation. Returns whatever animateClicked returns, so a tween or promise can be waited on
+MenuItem.prototype.animateClicked = function () {
+  if (typeof this.sequenceClicked === "function") return this.sequenceClicked(this);
+  return null;
+}
+
 function errorMsg(str) {
   return "menuItem error: " + str;
 }
\ No newline at end of file
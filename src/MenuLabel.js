@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Text drawn on a canvas and shown as a sprite, or as a plane that keeps the rotation of the menu
+ * Used for the item labels and the info panel
+ * @param {Object} [_properties] - Optional properties: text, subtitle, font, subtitleFont, color, background,
+ * padding, wrapWidth (in canvas pixels, null keeps every line whole), resolution (canvas pixels per world unit) and type
+ */
+export function MenuLabel(_properties = null) {
+  this.text = (_properties && typeof _properties.text === "string") ? _properties.text : "";
+  this.subtitle = (_properties && typeof _properties.subtitle === "string") ? _properties.subtitle : "";
+  this.font = (_properties && typeof _properties.font === "string") ? _properties.font : "bold 48px sans-serif";
+  this.subtitleFont = (_properties && typeof _properties.subtitleFont === "string") ? _properties.subtitleFont : "32px sans-serif";
+  this.color = (_properties && typeof _properties.color === "string") ? _properties.color : "#ffffff";
+  this.background = (_properties && typeof _properties.background === "string") ? _properties.background : null;
+  this.padding = (_properties && typeof _properties.padding === "number") ? _properties.padding : 12;
+  this.wrapWidth = (_properties && typeof _properties.wrapWidth === "number") ? _properties.wrapWidth : null;
+  this.resolution = (_properties && typeof _properties.resolution === "number") ? _properties.resolution : 200;
+  this.type = (_properties && _properties.type === "plane") ? "plane" : "sprite";
+  this.offset = { x: 0, y: 0, z: 0 };
+  if (_properties && typeof _properties.offset === "object") Object.assign(this.offset, _properties.offset);
+
+  this.canvas = document.createElement("canvas");
+  this.texture = new THREE.CanvasTexture(this.canvas);
+  this.texture.colorSpace = THREE.SRGBColorSpace;
+  if (this.type === "plane") {
+    this.material = new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, opacity: 0, depthWrite: false, side: THREE.DoubleSide });
+    this.object = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.material);
+  }
+  else {
+    this.material = new THREE.SpriteMaterial({ map: this.texture, transparent: true, opacity: 0, depthWrite: false });
+    this.object = new THREE.Sprite(this.material);
+  }
+  this.object.visible = false;
+  this.visible = false;
+  this.size = { x: 1, y: 1 };
+  this.draw();
+}
+
+// Redraw the canvas, sized to fit the text
+MenuLabel.prototype.draw = function () {
+  const context = this.canvas.getContext("2d");
+  const lines = [];
+  wrapText(context, this.text, this.font, this.wrapWidth).forEach((text) => lines.push({ text: text, font: this.font }));
+  wrapText(context, this.subtitle, this.subtitleFont, this.wrapWidth).forEach((text) => lines.push({ text: text, font: this.subtitleFont }));
+
+  let width = 0, height = 0;
+  lines.forEach((line) => {
+    context.font = line.font;
+    line.height = fontSize(line.font) * 1.25;
+    width = Math.max(width, context.measureText(line.text).width);
+    height += line.height;
+  });
+  width = Math.ceil(Math.max(width, 1) + this.padding * 2);
+  height = Math.ceil(Math.max(height, 1) + this.padding * 2);
+
+  // a texture can't change size once uploaded, so a resized canvas gets a new one
+  if (this.canvas.width !== width || this.canvas.height !== height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.texture.dispose();
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.material.map = this.texture;
+  }
+
+  context.clearRect(0, 0, width, height);
+  if (this.background) {
+    context.fillStyle = this.background;
+    context.fillRect(0, 0, width, height);
+  }
+  context.fillStyle = this.color;
+  context.textAlign = "center";
+  context.textBaseline = "top";
+  let y = this.padding;
+  lines.forEach((line) => {
+    context.font = line.font;
+    context.fillText(line.text, width / 2, y);
+    y += line.height;
+  });
+  this.texture.needsUpdate = true;
+
+  this.size = { x: width / this.resolution, y: height / this.resolution };
+  this.object.scale.set(this.size.x, this.size.y, 1);
+}
+
+/**
+ * Change the text of the label
+ * @param {string} text - Main line
+ * @param {string} [subtitle] - Smaller text under it
+ */
+MenuLabel.prototype.setText = function (text, subtitle = "") {
+  this.text = text || "";
+  this.subtitle = subtitle || "";
+  this.draw();
+}
+
+/**
+ * Keep the label under an item, shrinking along with it
+ * @param {THREE.Object3D} mesh - The item the label belongs to
+ * @param {number} ratio - Current scale of the item compared to its own size
+ */
+MenuLabel.prototype.follow = function (mesh, ratio = 1) {
+  this.object.position.set(mesh.position.x + this.offset.x, mesh.position.y + this.offset.y, mesh.position.z + this.offset.z);
+  this.object.scale.set(this.size.x * ratio, this.size.y * ratio, 1);
+}
+
+/**
+ * Fade the label in or out
+ * @param {boolean} visible - Show or hide the label
+ * @param {number} duration - Length of the fade in seconds
+ */
+MenuLabel.prototype.show = function (visible, duration = 0.2) {
+  if (visible === this.visible) return;
+  this.visible = visible;
+  if (visible) this.object.visible = true;
+  gsap.to(this.material, {
+    opacity: visible ? 1 : 0,
+    duration: duration,
+    overwrite: "auto",
+    onComplete: () => { this.object.visible = this.visible; }
+  });
+}
+
+MenuLabel.prototype.dispose = function () {
+  gsap.killTweensOf(this.material);
+  gsap.killTweensOf([this.object.position, this.object.scale]);
+  if (this.object.parent) this.object.parent.remove(this.object);
+  if (this.object.geometry) this.object.geometry.dispose();
+  this.material.dispose();
+  this.texture.dispose();
+}
+
+// split text into lines no wider than maxWidth, keeping the line breaks already in it
+function wrapText(context, text, font, maxWidth) {
+  if (!text) return [];
+  context.font = font;
+  const lines = [];
+  text.split("\n").forEach((paragraph) => {
+    if (!maxWidth) {
+      lines.push(paragraph);
+      return;
+    }
+    let line = "";
+    paragraph.split(" ").forEach((word) => {
+      const next = line ? line + " " + word : word;
+      if (line && context.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      }
+      else line = next;
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// pixel size of a css font like "bold 48px sans-serif"
+function fontSize(font) {
+  const match = /(\d+(?:\.\d+)?)px/.exec(font);
+  return match ? parseFloat(match[1]) : 16;
+}
@@ -0,0 +1,125 @@
+/**
+ * Layout strategies for the Menu.
+ * A layout is an object with a transform function that returns where an item sits based on its distance from the selection:
+ *   transform(offset, menu, node) => { position: { x, y, z }, rotation: { x, y, z } | null }
+ * offset is counted in slots and can be fractional while the menu is moving. Layouts that can be navigated
+ * up and down also provide verticalStep(menu), the number of slots an up/down move skips.
+ * Layouts that lay items out along a line can provide spacingAxis(menu), the vector one slot spans in the menu's space,
+ * so menus with "auto" spacing can pack items by their size along it
+ */
+const layouts = {};
+
+/**
+ * Register a layout so menus can use it through the "layout" property
+ * @param {string} name - Name used to pick the layout
+ * @param {object} layout - Layout object with a transform function and optional verticalStep function
+ */
+export function registerLayout(name, layout) {
+  if (typeof name !== "string" || !layout || typeof layout.transform !== "function") return errorMsg("layouts need a name and a transform function");
+  layouts[name] = layout;
+  return layout;
+}
+
+export function getLayout(name) {
+  return Object.hasOwn(layouts, name) ? layouts[name] : null;
+}
+
+// items follow a straight line spaced by gapBetweenItems
+registerLayout("linear", {
+  transform: (offset, menu) => ({
+    position: {
+      x: menu.gapBetweenItems.x * offset,
+      y: menu.gapBetweenItems.y * offset,
+      z: menu.gapBetweenItems.z * offset
+    },
+    rotation: null
+  }),
+  spacingAxis: (menu) => menu.gapBetweenItems
+});
+
+// items sit on a circle around a center behind the selected item, facing outwards
+registerLayout("ring", {
+  transform: (offset, menu) => {
+    const angle = offset * arcStep(menu.ringArc, menu.itemTray.length);
+    return {
+      position: {
+        x: Math.sin(angle) * menu.ringRadius,
+        y: 0,
+        z: Math.cos(angle) * menu.ringRadius - menu.ringRadius
+      },
+      rotation: { x: 0, y: angle, z: 0 }
+    };
+  }
+});
+
+// items stacked from top to bottom, spaced by rowGap
+registerLayout("vertical", {
+  transform: (offset, menu) => ({
+    position: { x: 0, y: -menu.rowGap * offset, z: 0 },
+    rotation: null
+  }),
+  verticalStep: () => 1,
+  spacingAxis: (menu) => ({ x: 0, y: -menu.rowGap, z: 0 })
+});
+
+// items fill rows of gridColumns in their list order, and the rows scroll up and down to follow the selection
+registerLayout("grid", {
+  transform: (offset, menu, node) => {
+    const columns = Math.max(1, menu.gridColumns);
+    const total = Math.max(menu.itemTray.length, 1);
+    const slot = node ? node.slot : menu.scroll.position + offset;
+    const scrolled = menu.revolvingMenu ? menu.scroll.position - total * Math.floor(menu.scroll.position / total) : menu.scroll.position;
+    const column = slot - columns * Math.floor(slot / columns);
+    const row = Math.floor(slot / columns);
+    return {
+      position: {
+        x: (column - (columns - 1) / 2) * menu.gapBetweenItems.x,
+        y: -(row - scrolled / columns) * menu.rowGap,
+        z: 0
+      },
+      rotation: null
+    };
+  },
+  verticalStep: (menu) => Math.max(1, menu.gridColumns)
+});
+
+// items hang along an arc below the selected item, tilting with the curve like a wheel
+registerLayout("arc", {
+  transform: (offset, menu) => {
+    const angle = offset * menu.arcSpread;
+    return {
+      position: {
+        x: Math.sin(angle) * menu.arcRadius,
+        y: Math.cos(angle) * menu.arcRadius - menu.arcRadius,
+        z: 0
+      },
+      rotation: { x: 0, y: 0, z: -angle }
+    };
+  },
+  // the length of arc between two slots, measured across the items
+  spacingAxis: (menu) => ({ x: menu.arcRadius * menu.arcSpread, y: 0, z: 0 })
+});
+
+// items wind around a vertical axis, climbing helixRise for every slot
+registerLayout("helix", {
+  transform: (offset, menu) => {
+    const angle = offset * menu.helixTurn;
+    return {
+      position: {
+        x: Math.sin(angle) * menu.ringRadius,
+        y: offset * menu.helixRise,
+        z: Math.cos(angle) * menu.ringRadius - menu.ringRadius
+      },
+      rotation: { x: 0, y: angle, z: 0 }
+    };
+  }
+});
+
+// angle between items on a circle. A full circle spaces every item evenly, a partial arc spans it end to end
+function arcStep(arc, total) {
+  return (arc >= Math.PI * 2) ? arc / Math.max(total, 1) : arc / Math.max(total - 1, 1);
+}
+
+function errorMsg(str) {
+  return "menuLayouts error: " + str;
+}
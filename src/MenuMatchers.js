@@ -0,0 +1,57 @@
+/**
+ * Text matchers for filtering the Menu. A matcher scores how well a text matches what was typed:
+ *   matcher(query, text) => number
+ * 0 means no match, higher scores are better matches and the best one gets selected
+ */
+const matchers = {};
+
+/**
+ * Register a matcher so menus can use it through the "filterMatch" property
+ * @param {string} name - Name used to pick the matcher
+ * @param {function} matcher - Function(query, text) returning a score, 0 when the text doesn't match
+ */
+export function registerMatcher(name, matcher) {
+  if (typeof name !== "string" || typeof matcher !== "function") return errorMsg("matchers need a name and a function");
+  matchers[name] = matcher;
+  return matcher;
+}
+
+export function getMatcher(name) {
+  return Object.hasOwn(matchers, name) ? matchers[name] : null;
+}
+
+// the query's letters appear in order, anywhere in the text. Runs of letters and starts of words score higher
+registerMatcher("fuzzy", (query, text) => {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  let score = 0;
+  let streak = 0;
+  let last = -1;
+  for (const char of q) {
+    const at = t.indexOf(char, last + 1);
+    if (at === -1) return 0;
+    streak = (last !== -1 && at === last + 1) ? streak + 1 : 0;
+    const wordStart = at === 0 || /[\s\-_./]/.test(t[at - 1]);
+    score += 1 + streak * 2 + (wordStart ? 3 : 0);
+    last = at;
+  }
+  // the closer the query is to the whole text, the better
+  return score + q.length / t.length;
+});
+
+// the query appears as is somewhere in the text, best at its start
+registerMatcher("contains", (query, text) => {
+  const at = text.toLowerCase().indexOf(query.toLowerCase());
+  if (at === -1) return 0;
+  return 1 + (at === 0 ? 1 : 0) + query.length / text.length;
+});
+
+// the text starts with the query, like the items of a native <select>
+registerMatcher("prefix", (query, text) => {
+  if (!text.toLowerCase().startsWith(query.toLowerCase())) return 0;
+  return 1 + query.length / text.length;
+});
+
+function errorMsg(str) {
+  return "menuMatchers error: " + str;
+}
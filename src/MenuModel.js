@@ -0,0 +1,360 @@
+import { MenuEvents } from './MenuEvents.js';
+
+/**
+ * Navigation state of a menu without anything to draw it: the items, the selection, the wrap rules and the commands moving it.
+ * It doesn't use Three.js, gsap or the DOM, so it runs in Node and can drive any other view, like a 2D fallback menu.
+ * Items are plain objects, the model keeps their id, index, prev, next, selected, disabled and filtered fields up to date.
+ * A filter narrows items down to the ones it matches, allItems keeps every item in order. Items filtered out have an index of -1
+ * Every state change is reported through events, see MenuModel.prototype.on
+ * @param {Object} [_properties] - Optional properties: revolving (wrap around the ends) and skipDisabled (moves jump over disabled items)
+ */
+export function MenuModel(_properties = null) {
+  this.items = []; // the items passing the filter, the ones navigated through
+  this.allItems = [];
+  this.filterScore = null; // function(item) scoring the items, the ones scoring 0 or less are filtered out
+  this.unfilteredItem = null; // selection before the filter left nothing, restored when it is cleared
+  this.selected = 0; // index of the selected item
+  this.selectedItem = null;
+  this.nextID = 0;
+  this.revolving = (_properties && typeof _properties.revolving === "boolean") ? _properties.revolving : true;
+  this.skipDisabled = (_properties && typeof _properties.skipDisabled === "boolean") ? _properties.skipDisabled : true;
+  this.events = new MenuEvents();
+}
+
+/**
+ * Insert an item. Items after it shift one place over, and the first item inserted is selected
+ * @param {number} index - Position of the item, clamped to the list
+ * @param {object} [item] - The item, given the next free id unless it has one
+ * @returns {object} the inserted item
+ */
+MenuModel.prototype.insert = function (index, item = {}) {
+  if (item.id === undefined || item.id === null) item.id = this.nextID;
+  this.nextID = Math.max(this.nextID, item.id + 1);
+  item.selected = false;
+  item.disabled = !!item.disabled;
+
+  const position = Math.min(Math.max(Math.floor(index) || 0, 0), this.items.length);
+  this.allItems.splice(this.allIndex(this.items, position), 0, item);
+  this.relink();
+  if (!this.selectedItem && !item.filtered) {
+    item.selected = true;
+    this.selectedItem = item;
+    this.selected = item.index;
+  }
+  this.events.emit("item-added", { model: this, id: item.id, index: item.index, item: item });
+  return item;
+}
+
+MenuModel.prototype.add = function (item = {}) {
+  return this.insert(this.items.length, item);
+}
+
+/**
+ * Remove an item. The selection stays on the same item, or moves to its neighbor if it was the one removed
+ * @param {number | object} target - The id of the item or the item itself
+ * @returns {object} the removed item, null if it isn't part of the model
+ */
+MenuModel.prototype.remove = function (target) {
+  const item = this.find(target);
+  if (!item) return null;
+
+  const index = this.items.indexOf(item);
+  const rest = this.items.filter((other) => other !== item);
+  this.allItems.splice(this.allItems.indexOf(item), 1);
+  if (this.unfilteredItem === item) this.unfilteredItem = null;
+  const previous = this.selected;
+  const selectionRemoved = (item === this.selectedItem);
+  if (selectionRemoved) {
+    item.selected = false;
+    this.selectedItem = rest.length ? rest[Math.min(index, rest.length - 1)] : null;
+    if (this.selectedItem) this.selectedItem.selected = true;
+  }
+  this.relink();
+  this.events.emit("item-removed", { model: this, id: item.id, index: index, item: item });
+  if (selectionRemoved && this.selectedItem) this.emitChange(previous);
+  return item;
+}
+
+/**
+ * Move an item to another position. The selection follows the item it is on
+ * @param {number | object} target - The id of the item or the item itself
+ * @param {number} toIndex - The new position of the item
+ */
+MenuModel.prototype.move = function (target, toIndex) {
+  const item = this.find(target);
+  if (!item) return;
+
+  const rest = this.items.filter((other) => other !== item);
+  const position = Math.min(Math.max(Math.floor(toIndex) || 0, 0), rest.length);
+  this.allItems.splice(this.allItems.indexOf(item), 1);
+  this.allItems.splice(this.allIndex(rest, position), 0, item);
+  this.relink();
+}
+
+/**
+ * Remove every item
+ * @returns {Array} the removed items
+ */
+MenuModel.prototype.clear = function () {
+  const removed = this.allItems;
+  removed.forEach((item) => { item.selected = false; });
+  this.allItems = [];
+  this.selectedItem = this.unfilteredItem = null;
+  this.relink();
+  removed.forEach((item) => {
+    this.events.emit("item-removed", { model: this, id: item.id, index: item.index, item: item });
+  });
+  return removed;
+}
+
+/**
+ * Find an item using its id, filtered out or not
+ * @param {number | object} target - The id of the item, or the item itself to check it is part of the model
+ */
+MenuModel.prototype.find = function (target) {
+  if (target === null || target === undefined) return null;
+  if (typeof target === "object") return this.allItems.includes(target) ? target : null;
+  return this.allItems.find((item) => item.id === target) || null;
+}
+
+// Position of an item, or -1 if it isn't part of the model or is filtered out
+MenuModel.prototype.indexOf = function (target) {
+  return this.items.indexOf(this.find(target));
+}
+
+// position in allItems matching a position in a list of items passing the filter, so inserts land before the same item
+MenuModel.prototype.allIndex = function (list, position) {
+  return (position < list.length) ? this.allItems.indexOf(list[position]) : this.allItems.length;
+}
+
+// rebuild the filtered list, the linked list and the indexes after the items or the filter change
+MenuModel.prototype.relink = function () {
+  this.allItems.forEach((item) => {
+    item.filtered = !!this.filterScore && !(this.filterScore(item) > 0);
+    item.index = -1;
+  });
+  this.items = this.allItems.filter((item) => !item.filtered);
+  const total = this.items.length;
+  this.items.forEach((item, i) => {
+    item.index = i;
+    item.prev = this.items[(i - 1 + total) % total];
+    item.next = this.items[(i + 1) % total];
+  });
+  this.selected = this.selectedItem ? this.selectedItem.index : 0;
+}
+
+// distance between two positions, wrapped around to the shortest way when revolving
+MenuModel.prototype.wrapOffset = function (offset) {
+  const total = this.items.length;
+  if (!this.revolving || total === 0) return offset;
+  return offset - total * Math.ceil(offset / total - 0.5);
+}
+
+/**
+ * Enable or disable an item. Disabled items are skipped by moves when skipDisabled is on, and refuse to be activated
+ * @param {number | object} target - The id of the item or the item itself
+ * @param {boolean} enabled - false to disable the item
+ * @returns {boolean} whether the item changed
+ */
+MenuModel.prototype.setEnabled = function (target, enabled) {
+  const item = this.find(target);
+  if (!item || item.disabled === !enabled) return false;
+  item.disabled = !enabled;
+  this.events.emit("item-enabled", { model: this, id: item.id, index: item.index, item: item, enabled: !!enabled });
+  return true;
+}
+
+MenuModel.prototype.isEnabled = function (target) {
+  const item = this.find(target);
+  return !!item && !item.disabled;
+}
+
+/**
+ * Where a move would land, without moving
+ * @param {number} steps - number of items to move, positive goes forward
+ * @returns {object} { index, delta } with delta the distance travelled including the wrap, or null when the move goes nowhere
+ */
+MenuModel.prototype.resolveMove = function (steps) {
+  const total = this.items.length;
+  if (total <= 1 || !steps) return null;
+
+  // revolving menus wrap around, otherwise stop at either end
+  let index = this.selected + steps;
+  if (this.revolving) index = ((index % total) + total) % total;
+  else index = Math.min(Math.max(index, 0), total - 1);
+  let delta = this.revolving ? steps : index - this.selected;
+
+  // keep going the same way past disabled items, and stay put if there is nothing left to land on
+  if (this.skipDisabled) {
+    const direction = Math.sign(steps);
+    let skipped = 0;
+    for (; this.items[index] && this.items[index].disabled && skipped < total; skipped++) {
+      index += direction;
+      delta += direction;
+      if (this.revolving) index = ((index % total) + total) % total;
+    }
+    if (!this.items[index] || this.items[index].disabled) return null;
+    if (skipped && index === this.selected) return null;
+  }
+  if (!delta) return null;
+  return { index: index, delta: delta };
+}
+
+/**
+ * Move the selection a number of items forward (positive) or backward (negative)
+ * @param {number} steps - number of items to move
+ * @returns {number} the distance travelled including the wrap, 0 when the selection didn't move
+ */
+MenuModel.prototype.moveBy = function (steps) {
+  const move = this.resolveMove(steps);
+  if (!move) {
+    if (this.atEdge(steps)) {
+      const item = this.selectedItem;
+      this.events.emit("edge", { model: this, direction: Math.sign(steps), index: this.selected, id: item ? item.id : null, item: item });
+    }
+    return 0;
+  }
+  this.select(move.index);
+  return move.delta;
+}
+
+// Whether a bounded model has nothing left to move to in the direction of steps
+MenuModel.prototype.atEdge = function (steps) {
+  if (this.revolving || !steps) return false;
+  const direction = Math.sign(steps);
+  for (let i = this.selected + direction; i >= 0 && i < this.items.length; i += direction) {
+    if (!this.skipDisabled || !this.items[i].disabled) return false;
+  }
+  return true;
+}
+
+MenuModel.prototype.next = function () {
+  return this.moveBy(1);
+}
+
+MenuModel.prototype.prev = function () {
+  return this.moveBy(-1);
+}
+
+/**
+ * Select an item directly, going around the shortest way when revolving
+ * @param {number} index - Position of the item
+ * @returns {number} the distance to the item, null if there is no such item
+ */
+MenuModel.prototype.jumpTo = function (index) {
+  if (typeof index !== "number" || !this.items[index]) return null;
+  const delta = this.wrapOffset(index - this.selected);
+  this.select(index);
+  return delta;
+}
+
+// Mark the item at index as the selected one and report the change
+MenuModel.prototype.select = function (index) {
+  const item = this.items[index];
+  if (!item || item === this.selectedItem) return;
+
+  const previous = this.selected;
+  if (this.selectedItem) this.selectedItem.selected = false;
+  this.selectedItem = item;
+  item.selected = true;
+  this.selected = index;
+  this.emitChange(previous);
+}
+
+/**
+ * Only keep the items a score function matches, in their order, and select the best match. Items scoring 0 or less are
+ * filtered out. Clearing the filter keeps the selection, or brings back the one from before the filter left nothing
+ * @param {function} [score] - Function(item) returning how well the item matches, null to keep every item
+ * @returns {number} how many items are left
+ */
+MenuModel.prototype.setFilter = function (score = null) {
+  const previous = this.selected;
+  const previousItem = this.selectedItem;
+  const before = new Set(this.items);
+  this.filterScore = (typeof score === "function") ? score : null;
+  this.relink();
+
+  // the highest score wins, the first one on a tie. Disabled items only win when moves don't skip them
+  let best = null;
+  if (this.filterScore) {
+    let top = 0;
+    this.items.forEach((item) => {
+      if (item.disabled && this.skipDisabled) return;
+      const value = this.filterScore(item);
+      if (value > top) {
+        top = value;
+        best = item;
+      }
+    });
+    if (!best) best = this.items[0] || null;
+  }
+  else best = this.selectedItem || this.unfilteredItem || this.items[0] || null;
+
+  const moved = best !== previousItem;
+  if (this.selectedItem) this.selectedItem.selected = false;
+  this.selectedItem = best;
+  if (best) best.selected = true;
+  this.selected = best ? best.index : 0;
+  // while nothing matches, remember the selection to restore it once the filter is cleared
+  this.unfilteredItem = best ? null : (previousItem || this.unfilteredItem);
+
+  this.events.emit("filter", {
+    model: this,
+    items: this.items,
+    hidden: this.allItems.filter((item) => item.filtered && before.has(item)),
+    shown: this.items.filter((item) => !before.has(item))
+  });
+  if (moved) this.emitChange(previous);
+  return this.items.length;
+}
+
+/**
+ * Activate an item, the selected one by default. Disabled items are refused with a "denied" event
+ * @param {number | object} [target] - The id of the item or the item itself
+ * @returns {boolean} whether the item was activated
+ */
+MenuModel.prototype.activate = function (target = this.selectedItem) {
+  const item = this.find(target);
+  if (!item || item.filtered) return false;
+  if (item.disabled) {
+    this.events.emit("denied", { model: this, id: item.id, index: item.index, item: item });
+    return false;
+  }
+  this.events.emit("select", { model: this, id: item.id, index: item.index, item: item });
+  return true;
+}
+
+// report a new selection along with the index that was selected before it
+MenuModel.prototype.emitChange = function (previous) {
+  this.events.emit("change", {
+    model: this,
+    previous: previous,
+    index: this.selected,
+    id: this.selectedItem ? this.selectedItem.id : null,
+    item: this.selectedItem
+  });
+}
+
+/**
+ * Listen to a state change. Every listener receives an object with the model, the item's id, index and the item itself:
+ *  "change" - { model, previous, index, id, item } the selection moved, previous is the index selected before
+ *  "item-added", "item-removed" - { model, id, index, item }
+ *  "item-enabled" - { model, id, index, item, enabled }
+ *  "select" - { model, id, index, item } an item was activated
+ *  "denied" - { model, id, index, item } a disabled item was activated
+ *  "edge" - { model, direction, id, index, item } a bounded model was moved past its first (direction -1) or last (1) item
+ *  "filter" - { model, items, hidden, shown } the filter changed, hidden and shown list the items it took out and brought back
+ * @param {string} type - Name of the event
+ * @param {function} listener - Function called with the event data
+ */
+MenuModel.prototype.on = function (type, listener) {
+  this.events.on(type, listener);
+}
+
+MenuModel.prototype.off = function (type, listener) {
+  this.events.off(type, listener);
+}
+
+MenuModel.prototype.once = function (type, listener) {
+  this.events.once(type, listener);
+}
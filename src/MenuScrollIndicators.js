@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Arrows on both sides of a bounded menu, shown while more items lie past them in their direction
+ * @param {Menu} menu - The menu they belong to
+ * @param {Object} [_properties] - Optional properties, the same object passed to the Menu
+ */
+export function MenuScrollIndicators(menu, _properties = null) {
+  this.menu = menu;
+  this.offset = (_properties && typeof _properties.indicatorOffset === "number") ? _properties.indicatorOffset : 2.5; // slots from the selection
+  this.size = (_properties && typeof _properties.indicatorSize === "number") ? _properties.indicatorSize : 0.15;
+  this.color = (_properties && _properties.indicatorColor !== undefined) ? _properties.indicatorColor : 0xffffff;
+  this.time = (_properties && typeof _properties.indicatorTime === "number") ? _properties.indicatorTime : 0.2;
+
+  this.object = new THREE.Group();
+  this.arrows = [-1, 1].map((direction) => {
+    const mesh = new THREE.Mesh(
+      new THREE.ConeGeometry(this.size * 0.6, this.size, 16),
+      new THREE.MeshBasicMaterial({ color: this.color, transparent: true, opacity: 0 })
+    );
+    mesh.visible = false;
+    this.object.add(mesh);
+    return { mesh: mesh, direction: direction, shown: false };
+  });
+}
+
+// cones point up, the arrows point along the layout
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Put the arrows in their slots around the selection and show the ones with items past them
+MenuScrollIndicators.prototype.update = function () {
+  const menu = this.menu;
+  const last = menu.itemTray.length - 1;
+  const position = menu.scroll.position;
+  const ahead = new THREE.Vector3();
+
+  this.arrows.forEach((arrow) => {
+    const more = menu.opened && !menu.revolvingMenu && (arrow.direction < 0 ? position > this.offset : last - position > this.offset);
+    this.show(arrow, more);
+    if (!arrow.mesh.visible) return;
+
+    const at = menu.itemTransform(arrow.direction * this.offset).position;
+    const next = menu.itemTransform(arrow.direction * (this.offset + 0.1)).position;
+    arrow.mesh.position.set(at.x, at.y, at.z);
+    ahead.set(next.x - at.x, next.y - at.y, next.z - at.z);
+    if (ahead.lengthSq() > 0) arrow.mesh.quaternion.setFromUnitVectors(UP, ahead.normalize());
+  });
+}
+
+// fade an arrow in or out
+MenuScrollIndicators.prototype.show = function (arrow, visible) {
+  if (arrow.shown === visible) return;
+  arrow.shown = visible;
+  const material = arrow.mesh.material;
+  gsap.killTweensOf(material);
+  if (visible) arrow.mesh.visible = true;
+  gsap.to(material, {
+    opacity: visible ? 1 : 0,
+    duration: this.time,
+    onComplete: () => { arrow.mesh.visible = arrow.shown; }
+  });
+}
+
+MenuScrollIndicators.prototype.dispose = function () {
+  this.arrows.forEach((arrow) => {
+    gsap.killTweensOf(arrow.mesh.material);
+    arrow.mesh.geometry.dispose();
+    arrow.mesh.material.dispose();
+  });
+  if (this.object.parent) this.object.parent.remove(this.object);
+}
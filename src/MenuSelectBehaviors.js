@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Selection behaviors for the Menu, played on an item when it is selected before its action runs.
+ * A behavior is a function that animates the item and returns a tween or promise the action waits for:
+ *   behavior(item, menu) => gsap.core.Tween | Promise | null
+ * item is the MenuItem, its mesh is item.item
+ */
+const behaviors = {};
+
+/**
+ * Register a selection behavior so menus and items can use it through the "selectBehavior" property
+ * @param {string} name - Name used to pick the behavior
+ * @param {function} behavior - Function animating the selected item
+ */
+export function registerSelectBehavior(name, behavior) {
+  if (typeof name !== "string" || typeof behavior !== "function") return errorMsg("select behaviors need a name and a function");
+  behaviors[name] = behavior;
+  return behavior;
+}
+
+export function getSelectBehavior(name) {
+  return Object.hasOwn(behaviors, name) ? behaviors[name] : null;
+}
+
+// grow over the original size and back
+registerSelectBehavior("grow", (item, menu) => {
+  const scale = item.item.scale;
+  return gsap.fromTo(
+    scale,
+    { x: item.baseScale.x, y: item.baseScale.y, z: item.baseScale.z },
+    {
+      x: item.baseScale.x + menu.resizeScale, y: item.baseScale.y + menu.resizeScale, z: item.baseScale.z + menu.resizeScale,
+      duration: menu.resizeSpeed * 0.10, yoyo: true, repeat: 1
+    }
+  );
+});
+
+// light up with shineColor and fade back. Materials without an emissive color brighten their own color instead
+// the item shines through its own copies of the materials, the ones it shares with other items stay as they are
+registerSelectBehavior("shine", (item, menu) => {
+  const shine = new THREE.Color(menu.shineColor);
+  const glows = [];
+  item.copyMaterials().forEach((original, copy) => {
+    const color = copy.emissive || copy.color;
+    // the hover's emissive color may be fading in, the item's own one is kept in emissiveBackup
+    const base = (copy.emissive && item.emissiveBackup.get(original)) || color;
+    glows.push({ color: color, base: base.clone() });
+  });
+
+  const glow = { amount: 0 };
+  const done = () => item.releaseMaterials();
+  return gsap.to(glow, {
+    amount: 1,
+    duration: menu.resizeSpeed * 0.10,
+    yoyo: true,
+    repeat: 1,
+    ease: "sine.inOut",
+    onUpdate: () => glows.forEach((entry) => entry.color.copy(entry.base).lerp(shine, glow.amount)),
+    onComplete: done,
+    onInterrupt: done
+  });
+});
+
+// beat a few times, smaller than grow
+registerSelectBehavior("pulse", (item, menu) => {
+  const factor = 1 + menu.resizeScale * 0.4;
+  return gsap.fromTo(
+    item.item.scale,
+    { x: item.baseScale.x, y: item.baseScale.y, z: item.baseScale.z },
+    {
+      x: item.baseScale.x * factor, y: item.baseScale.y * factor, z: item.baseScale.z * factor,
+      duration: menu.resizeSpeed * 0.05, yoyo: true, repeat: 3, ease: "sine.inOut"
+    }
+  );
+});
+
+// turn a full flip over the horizontal axis
+registerSelectBehavior("flip", (item, menu) => {
+  return gsap.to(item.item.rotation, { x: "+=" + Math.PI * 2, duration: menu.resizeSpeed * 0.20, ease: "power2.inOut" });
+});
+
+function errorMsg(str) {
+  return "menuSelectBehaviors error: " + str;
+}
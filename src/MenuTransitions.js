@@ -0,0 +1,150 @@
+/**
+ * Open & close transitions for the Menu.
+ * A transition is an object with an open and a close function that add the tweens of one item to the menu's timeline:
+ *   open(timeline, node, menu, settings) / close(timeline, node, menu, settings)
+ * settings holds the duration, ease and the time "at" which the item starts, spread out by the stagger.
+ * Transitions can also give a default ease and stagger, which the menu's transitionEase & transitionStagger override
+ */
+const transitions = {};
+
+/**
+ * Register a transition so menus can use it through the openBehavior & closeBehavior properties
+ * @param {string} name - Name used to pick the transition
+ * @param {object} transition - Transition object with open & close functions, and optional ease & stagger
+ */
+export function registerTransition(name, transition) {
+  if (typeof name !== "string" || !transition || typeof transition.open !== "function" || typeof transition.close !== "function") {
+    return errorMsg("transitions need a name, an open and a close function");
+  }
+  transitions[name] = transition;
+  return transition;
+}
+
+export function getTransition(name) {
+  return Object.hasOwn(transitions, name) ? transitions[name] : null;
+}
+
+// items show up and disappear right away
+registerTransition("none", {
+  open: () => {},
+  close: (timeline, node) => {
+    node.node.item.scale.set(0, 0, 0);
+  }
+});
+
+// items grow from nothing to their size, and shrink back when closing
+registerTransition("grow", {
+  open: (timeline, node, menu, settings) => {
+    timeline.fromTo(node.node.item.scale, { x: 0, y: 0, z: 0 }, scaleTo(node.properties.scale, settings), settings.at);
+  },
+  close: (timeline, node, menu, settings) => {
+    timeline.to(node.node.item.scale, scaleTo({ x: 0, y: 0, z: 0 }, settings), settings.at);
+  }
+});
+
+// items fade in up to their own opacity, and fade out when closing
+registerTransition("fade", {
+  open: (timeline, node, menu, settings) => {
+    eachMaterial(node.node.item, (material) => {
+      const saved = node.properties.materials.get(material);
+      material.transparent = true;
+      timeline.fromTo(
+        material,
+        { opacity: 0 },
+        {
+          opacity: saved ? saved.opacity : 1, duration: settings.duration, ease: settings.ease,
+          onComplete: () => { material.transparent = saved ? saved.transparent : false; }
+        },
+        settings.at
+      );
+    });
+  },
+  close: (timeline, node, menu, settings) => {
+    eachMaterial(node.node.item, (material) => {
+      material.transparent = true;
+      timeline.to(material, { opacity: 0, duration: settings.duration, ease: settings.ease }, settings.at);
+    });
+  },
+  ease: "steps(100)"
+});
+
+// items grow in while sliding from the edge set by slideFrom, and leave the same way
+registerTransition("slide", {
+  open: (timeline, node, menu, settings) => {
+    const position = node.node.item.position;
+    const shift = slideShift(menu);
+    timeline.fromTo(
+      position,
+      { x: position.x + shift.x, y: position.y + shift.y },
+      { x: position.x, y: position.y, duration: settings.duration, ease: settings.ease },
+      settings.at
+    );
+    timeline.fromTo(node.node.item.scale, { x: 0, y: 0, z: 0 }, scaleTo(node.properties.scale, settings), settings.at);
+  },
+  close: (timeline, node, menu, settings) => {
+    const shift = slideShift(menu);
+    timeline.to(
+      node.node.item.position,
+      { x: "+=" + shift.x, y: "+=" + shift.y, duration: settings.duration, ease: settings.ease },
+      settings.at
+    );
+    timeline.to(node.node.item.scale, scaleTo({ x: 0, y: 0, z: 0 }, settings), settings.at);
+  },
+  ease: "power2.out"
+});
+
+// items drop in one after the other, and lift out in reverse order
+registerTransition("cascade", {
+  open: (timeline, node, menu, settings) => {
+    const position = node.node.item.position;
+    timeline.fromTo(position, { y: position.y + 1 }, { y: position.y, duration: settings.duration, ease: settings.ease }, settings.at);
+    timeline.fromTo(node.node.item.scale, { x: 0, y: 0, z: 0 }, scaleTo(node.properties.scale, settings), settings.at);
+  },
+  close: (timeline, node, menu, settings) => {
+    timeline.to(node.node.item.position, { y: "+=1", duration: settings.duration, ease: settings.ease }, settings.at);
+    timeline.to(node.node.item.scale, scaleTo({ x: 0, y: 0, z: 0 }, settings), settings.at);
+  },
+  ease: "back.out(1.7)",
+  stagger: 0.08
+});
+
+// items spin a full turn while growing, and spin away while shrinking
+registerTransition("spin", {
+  open: (timeline, node, menu, settings) => {
+    const rotation = node.node.item.rotation;
+    timeline.fromTo(rotation, { y: rotation.y - Math.PI * 2 }, { y: rotation.y, duration: settings.duration, ease: settings.ease }, settings.at);
+    timeline.fromTo(node.node.item.scale, { x: 0, y: 0, z: 0 }, scaleTo(node.properties.scale, settings), settings.at);
+  },
+  close: (timeline, node, menu, settings) => {
+    timeline.to(node.node.item.rotation, { y: "+=" + Math.PI * 2, duration: settings.duration, ease: settings.ease }, settings.at);
+    timeline.to(node.node.item.scale, scaleTo({ x: 0, y: 0, z: 0 }, settings), settings.at);
+  }
+});
+
+function scaleTo(scale, settings) {
+  return { x: scale.x, y: scale.y, z: scale.z, duration: settings.duration, ease: settings.ease };
+}
+
+// distance the items travel when sliding, towards the edge they come from
+function slideShift(menu) {
+  const distance = menu.slideDistance;
+  switch (menu.slideFrom) {
+    case "right": return { x: distance, y: 0 };
+    case "top": return { x: 0, y: distance };
+    case "bottom": return { x: 0, y: -distance };
+    default: return { x: -distance, y: 0 };
+  }
+}
+
+// run through every material of an item, including the children of groups
+function eachMaterial(obj, fn) {
+  obj.traverse((child) => {
+    if (!child.material) return;
+    if (Array.isArray(child.material)) child.material.forEach(fn);
+    else fn(child.material);
+  });
+}
+
+function errorMsg(str) {
+  return "menuTransitions error: " + str;
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMatcher, registerMatcher } from '../src/MenuMatchers.js';
+
+test("fuzzy matches letters in order anywhere in the text", () => {
+  const fuzzy = getMatcher("fuzzy");
+  assert.ok(fuzzy("opt", "Options") > 0);
+  assert.ok(fuzzy("ons", "Options") > 0);
+  assert.equal(fuzzy("tpo", "Options"), 0);
+  assert.equal(fuzzy("x", "Options"), 0);
+});
+
+test("fuzzy prefers runs of letters, starts of words and closer lengths", () => {
+  const fuzzy = getMatcher("fuzzy");
+  assert.ok(fuzzy("set", "Settings") > fuzzy("set", "Save exit"));
+  assert.ok(fuzzy("ng", "New game") > fuzzy("ng", "Settings"));
+  assert.ok(fuzzy("play", "Play") > fuzzy("play", "Play again"));
+});
+
+test("contains matches the query as is, best at the start", () => {
+  const contains = getMatcher("contains");
+  assert.ok(contains("PLAY", "replay") > 0);
+  assert.equal(contains("pay", "replay"), 0);
+  assert.ok(contains("play", "Play again") > contains("play", "replay"));
+});
+
+test("prefix only matches the start of the text", () => {
+  const prefix = getMatcher("prefix");
+  assert.ok(prefix("qu", "Quit") > 0);
+  assert.equal(prefix("it", "Quit"), 0);
+  assert.ok(prefix("quit", "Quit") > prefix("q", "Quit"));
+});
+
+test("registered matchers can be looked up by name", () => {
+  const exact = (query, text) => query === text ? 1 : 0;
+  assert.equal(registerMatcher("exact", exact), exact);
+  assert.equal(getMatcher("exact"), exact);
+  assert.equal(getMatcher("toString"), null);
+  assert.equal(getMatcher("missing"), null);
+  assert.equal(typeof registerMatcher("broken", null), "string");
+});
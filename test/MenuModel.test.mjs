@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MenuModel } from '../src/MenuModel.js';
+
+// a model holding one item per label
+function model(labels, _properties = null) {
+  const menu = new MenuModel(_properties);
+  labels.forEach((label) => menu.add({ label: label }));
+  return menu;
+}
+
+// collect the data of every event of a type
+function record(menu, type) {
+  const events = [];
+  menu.on(type, (data) => events.push(data));
+  return events;
+}
+
+const labels = (menu) => menu.items.map((item) => item.label);
+const selected = (menu) => menu.selectedItem && menu.selectedItem.label;
+
+test("revolving moves wrap around both ends", () => {
+  const menu = model(["a", "b", "c"]);
+  assert.equal(menu.prev(), -1);
+  assert.equal(selected(menu), "c");
+  assert.equal(menu.next(), 1);
+  assert.equal(selected(menu), "a");
+  assert.equal(menu.moveBy(4), 4);
+  assert.equal(selected(menu), "b");
+  assert.equal(menu.atEdge(1), false);
+  assert.equal(menu.atEdge(-1), false);
+});
+
+test("bounded moves stop at the ends and report the edge", () => {
+  const menu = model(["a", "b", "c"], { revolving: false });
+  const edges = record(menu, "edge");
+  const changes = record(menu, "change");
+
+  assert.equal(menu.atEdge(-1), true);
+  assert.equal(menu.atEdge(1), false);
+  assert.equal(menu.prev(), 0);
+  assert.equal(edges.length, 1);
+  assert.equal(edges[0].direction, -1);
+  assert.equal(edges[0].index, 0);
+  assert.equal(edges[0].item.label, "a");
+
+  assert.equal(menu.moveBy(5), 2);
+  assert.equal(selected(menu), "c");
+  assert.deepEqual(changes.map((change) => [change.previous, change.index]), [[0, 2]]);
+  assert.equal(menu.atEdge(1), true);
+  assert.equal(menu.next(), 0);
+  assert.equal(edges.length, 2);
+  assert.equal(edges[1].direction, 1);
+  assert.equal(changes.length, 1);
+});
+
+test("moves skip disabled items when skipDisabled is on", () => {
+  const menu = model(["a", "b", "c", "d"]);
+  menu.setEnabled(menu.items[1], false);
+  menu.setEnabled(menu.items[2], false);
+  assert.equal(menu.next(), 3);
+  assert.equal(selected(menu), "d");
+  assert.equal(menu.next(), 1);
+  assert.equal(selected(menu), "a");
+  assert.equal(menu.prev(), -1);
+  assert.equal(selected(menu), "d");
+});
+
+test("moves land on disabled items when skipDisabled is off", () => {
+  const menu = model(["a", "b", "c"], { skipDisabled: false });
+  menu.setEnabled(menu.items[1], false);
+  assert.equal(menu.next(), 1);
+  assert.equal(selected(menu), "b");
+});
+
+test("bounded models are at their edge when only disabled items lie past the selection", () => {
+  const menu = model(["a", "b", "c"], { revolving: false });
+  const edges = record(menu, "edge");
+  menu.setEnabled(menu.items[1], false);
+  menu.setEnabled(menu.items[2], false);
+  assert.equal(menu.atEdge(1), true);
+  assert.equal(menu.resolveMove(1), null);
+  assert.equal(menu.next(), 0);
+  assert.equal(selected(menu), "a");
+  assert.equal(edges.length, 1);
+});
+
+test("a model with nothing enabled to move to stays put", () => {
+  const menu = model(["a", "b", "c"]);
+  menu.setEnabled(menu.items[1], false);
+  menu.setEnabled(menu.items[2], false);
+  assert.equal(menu.next(), 0);
+  assert.equal(menu.prev(), 0);
+  assert.equal(selected(menu), "a");
+});
+
+test("activating a disabled item is denied", () => {
+  const menu = model(["a", "b"]);
+  const denied = record(menu, "denied");
+  const selects = record(menu, "select");
+  menu.setEnabled(menu.items[1], false);
+  assert.equal(menu.activate(menu.items[1]), false);
+  assert.equal(menu.activate(), true);
+  assert.equal(denied.length, 1);
+  assert.equal(denied[0].item.label, "b");
+  assert.deepEqual(selects.map((select) => select.item.label), ["a"]);
+});
+
+test("the selection stays on its item across inserts, removals and moves", () => {
+  const menu = model(["a", "b", "c", "d"]);
+  menu.jumpTo(2);
+  const changes = record(menu, "change");
+
+  menu.insert(0, { label: "z" });
+  assert.equal(selected(menu), "c");
+  assert.equal(menu.selected, 3);
+
+  menu.remove(menu.items[0]);
+  menu.remove(menu.find(menu.items[1].id));
+  assert.deepEqual(labels(menu), ["a", "c", "d"]);
+  assert.equal(selected(menu), "c");
+  assert.equal(menu.selected, 1);
+
+  menu.move(menu.selectedItem, 2);
+  assert.deepEqual(labels(menu), ["a", "d", "c"]);
+  assert.equal(selected(menu), "c");
+  assert.equal(menu.selected, 2);
+  assert.equal(changes.length, 0);
+
+  // removing the selection hands it to the neighbor taking its place
+  menu.jumpTo(1);
+  menu.remove(menu.selectedItem);
+  assert.equal(selected(menu), "c");
+  assert.equal(menu.selected, 1);
+  assert.equal(menu.selectedItem.selected, true);
+});
+
+test("items stay linked in a ring after changes", () => {
+  const menu = model(["a", "b", "c"]);
+  menu.move(menu.items[0], 2);
+  menu.items.forEach((item, i) => {
+    assert.equal(item.index, i);
+    assert.equal(item.next, menu.items[(i + 1) % 3]);
+    assert.equal(item.prev, menu.items[(i + 2) % 3]);
+  });
+});
+
+test("jumpTo goes the shortest way around when revolving", () => {
+  const menu = model(["a", "b", "c", "d", "e"]);
+  assert.equal(menu.jumpTo(4), -1);
+  assert.equal(menu.jumpTo(1), 2);
+  assert.equal(menu.jumpTo(9), null);
+  assert.equal(selected(menu), "b");
+});
+
+test("setFilter keeps the matches and selects the best one", () => {
+  const menu = model(["play", "options", "quit", "replay"]);
+  const filters = record(menu, "filter");
+  const changes = record(menu, "change");
+
+  const left = menu.setFilter((item) => item.label.includes("play") ? item.label.length : 0);
+  assert.equal(left, 2);
+  assert.deepEqual(labels(menu), ["play", "replay"]);
+  assert.equal(selected(menu), "replay");
+  assert.equal(menu.find(menu.allItems[1].id).index, -1);
+  assert.deepEqual(filters[0].hidden.map((item) => item.label), ["options", "quit"]);
+  assert.deepEqual(filters[0].shown, []);
+  assert.equal(changes.length, 1);
+
+  menu.setFilter(null);
+  assert.deepEqual(labels(menu), ["play", "options", "quit", "replay"]);
+  assert.equal(selected(menu), "replay");
+  assert.deepEqual(filters[1].shown.map((item) => item.label), ["options", "quit"]);
+});
+
+test("setFilter skips disabled items when picking the best match", () => {
+  const menu = model(["apple", "apricot"]);
+  menu.setEnabled(menu.items[0], false);
+  menu.setFilter((item) => item.label.startsWith("ap") ? 1 : 0);
+  assert.equal(selected(menu), "apricot");
+});
+
+test("clearing a filter that matched nothing restores the selection from before it", () => {
+  const menu = model(["a", "b", "c"]);
+  menu.jumpTo(1);
+  const changes = record(menu, "change");
+
+  assert.equal(menu.setFilter(() => 0), 0);
+  assert.equal(menu.selectedItem, null);
+  assert.equal(menu.next(), 0);
+  assert.equal(menu.activate(), false);
+
+  // typing on while nothing matches must not lose it either
+  menu.setFilter(() => 0);
+  menu.setFilter(null);
+  assert.equal(selected(menu), "b");
+  assert.equal(menu.selected, 1);
+  assert.equal(changes.length, 2);
+});
+
+test("activate refuses items the filter took out", () => {
+  const menu = model(["a", "b"]);
+  menu.setFilter((item) => item.label === "a" ? 1 : 0);
+  assert.equal(menu.activate(menu.allItems[1]), false);
+});
+
+test("clear removes every item, filtered out or not", () => {
+  const menu = model(["a", "b", "c"]);
+  const removed = record(menu, "item-removed");
+  menu.setFilter((item) => item.label === "a" ? 1 : 0);
+  assert.equal(menu.clear().length, 3);
+  assert.equal(removed.length, 3);
+  assert.equal(menu.items.length, 0);
+  assert.equal(menu.selectedItem, null);
+});